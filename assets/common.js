@@ -12,35 +12,223 @@
    Utility helpers
    --------------------------- */
 const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
-const fmt = (x, d=2) => (Number.isFinite(x) ? x.toFixed(d) : "—");
-const fmtInt = (x) => (Number.isFinite(x) ? Math.round(x).toString() : "—");
+// Display numbers follow the deck language (see "Language"); files keep toFixed
+const fmt = (x, d=2) => (Number.isFinite(x) ? numberFormat(d).format(x) : "—");
+const fmtInt = (x) => (Number.isFinite(x) ? numberFormat(0).format(Math.round(x)) : "—");
 
 function svgEl(id){ return document.getElementById(id); }
 function setAttr(el, k, v){ el.setAttribute(k, v); }
 function setText(el, t){ el.textContent = t; }
 
+/* ---------------------------
+   Language (English / Japanese)
+   ---------------------------
+   The deck is written in English; assets/i18n.js (loaded before this
+   file) maps English text to Japanese in I18N_JA. In the pages,
+   data-i18n marks an element whose content is translated (its HTML,
+   whitespace collapsed, is the key) and data-i18n-attr lists attributes
+   to translate. Text built here goes through tx(). A text without an
+   entry stays English, as do the validation messages of model.js.
+*/
+const LANGS = {
+  en: { locale: "en-US", name: "English" },
+  ja: { locale: "ja-JP", name: "日本語" }
+};
+
+function tx(msg, vars){
+  const ja = state.lang === "ja" && Object.prototype.hasOwnProperty.call(I18N_JA, msg);
+  const s = ja ? I18N_JA[msg] : msg;
+  return vars ? s.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m)) : s;
+}
+
+const __numberFormats = {};
+function numberFormat(digits){
+  const locale = (LANGS[state.lang] || LANGS.en).locale;
+  const key = `${locale}/${digits}`;
+  if(!__numberFormats[key]){
+    __numberFormats[key] = new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  }
+  return __numberFormats[key];
+}
+
+// The preset buttons store the Japanese title (older saves have it too);
+// it is shown in the deck language
+const PRESET_TITLES = [
+  { ja: "測距(P/NP/Sheet)_機能しない", en: "Ranging (P/NP/Sheet)_not working" },
+  { ja: "レーザー出力_機能しない", en: "Laser output_not working" },
+  { ja: "内部固視が表示されない", en: "Internal fixation target_not shown" }
+];
+function displayTitle(title){
+  const p = PRESET_TITLES.find(x => x.ja === title || x.en === title);
+  return p ? p[state.lang] || p.en : title;
+}
+
+// English originals of the marked elements, read the first time through
+const __i18nHtml = new WeakMap();
+const __i18nAttrs = new WeakMap();
+const i18nKey = (s) => s.replace(/\s+/g, " ").trim();
+
+function translatePage(){
+  document.documentElement.lang = state.lang;
+  document.querySelectorAll("[data-i18n]").forEach(el => {
+    if(!__i18nHtml.has(el)) __i18nHtml.set(el, el.innerHTML);
+    const en = __i18nHtml.get(el);
+    const html = tx(i18nKey(en));
+    const next = html === i18nKey(en) ? en : html;
+    if(el.innerHTML !== next) el.innerHTML = next;
+  });
+  document.querySelectorAll("[data-i18n-attr]").forEach(el => {
+    if(!__i18nAttrs.has(el)){
+      const orig = {};
+      el.getAttribute("data-i18n-attr").split(/\s+/).filter(Boolean).forEach(a => { orig[a] = el.getAttribute(a) || ""; });
+      __i18nAttrs.set(el, orig);
+    }
+    Object.entries(__i18nAttrs.get(el)).forEach(([a, en]) => el.setAttribute(a, tx(i18nKey(en))));
+  });
+  // the toggle offers the other language, written in that language
+  const btn = document.getElementById("btnLang");
+  if(btn){
+    const other = state.lang === "ja" ? "en" : "ja";
+    btn.textContent = LANGS[other].name;
+    btn.lang = other;
+  }
+}
+
+function setLang(lang){
+  if(!LANGS[lang] || lang === state.lang) return;
+  state.lang = lang;
+  applyStateToControls();
+  renderGroupSelect();
+  setProgressForPage(state.slide);
+  onEnterSlide(state.slide);
+  renderStateLoadReports();
+  reportToPresenter();
+  saveStateDebounced();
+}
+const btnLangEl = document.getElementById("btnLang");
+if(btnLangEl) btnLangEl.addEventListener("click", ()=> setLang(state.lang === "ja" ? "en" : "ja"));
+
+/* ---------------------------
+   Accessibility (keyboard + screen readers)
+   ---------------------------
+   The drag handles are role="slider" elements moved with the arrow
+   keys; labels that change with them are read out through one shared
+   live region. Every chart has a <details class="data-table"> under it
+   whose table is filled by renderDataTable().
+*/
+let __announceTimer = null;
+// Reads out a chart label (el) that changed. Only labels of the slide on
+// screen count, and the text waits for the value to settle so a held
+// arrow key is read out once.
+function announce(el, text = el.textContent){
+  const slide = el.closest(".slide");
+  if(slide && parseInt(slide.dataset.slide,10) !== state.slide) return;
+  let region = document.getElementById("chartStatus");
+  if(!region){
+    region = document.createElement("div");
+    region.id = "chartStatus";
+    region.className = "sr-only";
+    region.setAttribute("aria-live", "polite");
+    document.body.appendChild(region);
+  }
+  clearTimeout(__announceTimer);
+  __announceTimer = setTimeout(()=>{ region.textContent = text; }, 400);
+}
+
+// New slider value for a keydown, or null for keys a slider ignores.
+// Handled keys stop here: the arrows would also turn the page.
+function sliderKeyValue(e, value, min, max){
+  const steps = { ArrowLeft: -1, ArrowDown: -1, ArrowRight: 1, ArrowUp: 1, PageDown: -6, PageUp: 6 };
+  let next;
+  if(e.key in steps) next = value + steps[e.key];
+  else if(e.key === "Home") next = min;
+  else if(e.key === "End") next = max;
+  else return null;
+  e.preventDefault();
+  e.stopPropagation();
+  return clamp(next, min, max);
+}
+
+function setSliderAria(el, value, min, max, text){
+  el.setAttribute("aria-valuemin", min);
+  el.setAttribute("aria-valuemax", max);
+  el.setAttribute("aria-valuenow", value);
+  el.setAttribute("aria-valuetext", text);
+}
+
+// head: column titles (already translated); rows: arrays of cell texts,
+// the first cell of a row is its header
+function renderDataTable(id, head, rows){
+  const table = document.getElementById(id);
+  if(!table) return;
+  table.innerHTML = "";
+  const cell = (tag, text, scope) => {
+    const el = document.createElement(tag);
+    el.textContent = text;
+    if(scope) el.setAttribute("scope", scope);
+    return el;
+  };
+  const thead = document.createElement("thead");
+  const htr = document.createElement("tr");
+  head.forEach(t => htr.appendChild(cell("th", t, "col")));
+  thead.appendChild(htr);
+  const tbody = document.createElement("tbody");
+  rows.forEach(r => {
+    const tr = document.createElement("tr");
+    r.forEach((t, i) => tr.appendChild(i === 0 ? cell("th", t, "row") : cell("td", t)));
+    tbody.appendChild(tr);
+  });
+  table.appendChild(thead);
+  table.appendChild(tbody);
+}
+
+/* ---------------------------
+   Model core (assets/model.js, loaded first)
+   ---------------------------
+   The pure functions are used as-is; the ones that need inputs from
+   `state` are wrapped further down with their old signatures.
+*/
+const {
+  HISTORY_COLUMNS, HISTORY_MIN_MONTHS,
+  parseMonthKey, monthKeyToString, splitCsvLine, parseHistoryCsv,
+  DISTRIBUTIONS, DEFAULT_INFANT, normalizeInfant,
+  weibullCDF, lifetimeCDF, pFailInMonth, riskCurvePoints, cmPhaseProgress, cmFactor,
+  DEFAULT_PLAN, PLAN_HORIZON_MIN, PLAN_HORIZON_MAX, EOL_REL_MIN, normalizePlan, productionPlan,
+  DEFAULT_ATTRITION, normalizeAttrition, survivalAt,
+  median, detectSpikes
+} = ComplaintModel;
+
 /* ---------------------------
    Toy data + model logic
    --------------------------- */
 const state = {
   slide: 1,
-  totalSlides: 13,
+  totalSlides: 15,
 
-  // curve params (alpha, beta)
+  // curve params (alpha, beta), read per distribution, see lifetimeCDF()
+  dist: "weibull",
   alpha: 60,     // months
   beta: 3.5,
+  infant: { ...DEFAULT_INFANT },   // early component of the "mixture" (bathtub) curve
   presetTitle: "—",
 
   // calibration
   scale: 1.0,
+  calibWindow: 12,   // history months used by calibrateScale (page 7)
+  calibInfo: null,   // {window, excluded} of the last calibration, null = not calibrated
 
   // cohorts: last 18 months of production (toy values)
   cohorts: [],       // {monthIndex: -17..0, machines}
   moveMonths: 0,     // slide3
-
-  // cm
-  cmStartIdx: -6,    // cohort monthIndex threshold (after this => reduced)
-  cmEff: 0.70,       // remaining risk proportion after CM
+  // future production (page 3), shared by every page, see productionPlan()
+  plan: { ...DEFAULT_PLAN, manual: [] },
+  // machines leaving the field with age (page 11), see survivalAt()
+  attrition: { ...DEFAULT_ATTRITION },
+
+  // cm: list of countermeasures, see cmFactor()
+  //   {id, type: "cutin"|"retrofit", start: monthIndex, eff: remaining risk proportion, phaseIn: months}
+  cms: [{ id: "cm1", type: "cutin", start: -6, eff: 0.70, phaseIn: 0 }],
+  cmSelected: 0,     // index into cms edited on page 8
   cmDragging: false,
 
   // eol
@@ -49,7 +237,39 @@ const state = {
 
   // spike game
   spikeData: [],     // last 12 months counts
-  spikeExcluded: new Set(),
+  spikeExcluded: new Set(),   // effective exclusions (derived, see syncSpikeExclusions)
+  spikeOverrides: {},         // position -> bool, presenter clicks
+  spikeAuto: false,           // pre-select months flagged by detectSpikes
+  spikeThreshold: 3.5,        // robust z-score cut-off
+
+  // complaint history: {monthIndex, count}, same monthIndex space as cohorts
+  complaints: [],
+  // null = toy data; otherwise {name, firstMonth, lastMonth} of the imported CSV
+  dataSource: null,
+
+  // calendar month of monthIndex 0 ("now"); follows the last CSV month on import
+  nowMonth: "2026-01",
+  // page 11 example card: months ahead of now
+  outOffset: 14,
+
+  // daily proration of the monthly forecast, see prorateMonth()
+  // mode: "calendar" (every day equal) | "working" (Mon–Fri minus holidays)
+  daily: { on: false, mode: "calendar", holidays: [] },
+
+  // saved scenarios: [{id, name, groups, activeGroup, eolOn, eolRel, plan, attrition, shown}]
+  scenarios: [],
+  scenarioBaseline: "live",   // "live" (current settings) or a scenario id
+
+  // backtest (page 14): first held-out history month, re-fit the curve before it
+  backtest: { cutoff: -5, refit: false },
+  // sensitivity (page 15): ± share for alpha/beta/scale/CM effect, ± months for dates
+  sensitivity: { pct: 0.2, shift: 3 },
+
+  // stochastic mode (prediction intervals), see forecastBands()
+  stochastic: { on: false, seed: 42, runs: 200, paramCv: 0.10 },
+
+  // deck language, see tx() and translatePage()
+  lang: "en",
 };
 
 function initToyData(){
@@ -62,150 +282,1159 @@ function initToyData(){
   const spikeAt = 7;
   const spikeVal = 45;
   state.spikeData = normal.map((v, i) => i === spikeAt ? spikeVal : v);
-  state.spikeExcluded = new Set();
+  state.spikeOverrides = {};
+  syncSpikeExclusions();
+
+  // Toy complaint history = the spike game months (monthIndex -11..0)
+  state.complaints = state.spikeData.map((v, i) => ({ monthIndex: i - (state.spikeData.length - 1), count: v }));
+  state.dataSource = null;
 }
 initToyData();
 
-// Weibull CDF: F(t) = 1 - exp(-(t/alpha)^beta), t>=0
-function weibullCDF(t, alpha, beta){
-  if (t <= 0) return 0;
-  return 1 - Math.exp(-Math.pow(t/alpha, beta));
+/* ---------------------------
+   History import (CSV)
+   ---------------------------
+   Parsing and validation live in model.js (parseHistoryCsv); this maps a
+   validated file into the deck.
+*/
+// monthIndex (0 = now) <-> "YYYY-MM", using state.nowMonth
+function nowMonthKey(){
+  return parseMonthKey(state.nowMonth) ?? parseMonthKey("2026-01");
 }
-// Discrete probability of failing within month [m, m+1)
-function pFailInMonth(m, alpha, beta){
-  const a = weibullCDF(m, alpha, beta);
-  const b = weibullCDF(m+1, alpha, beta);
-  return clamp(b - a, 0, 1);
+function monthIndexToString(idx){
+  return monthKeyToString(nowMonthKey() + idx);
 }
-// Risk curve for visualization: scaled version of pFailInMonth across ages 0..60
-function riskCurvePoints(alpha, beta, maxAge=60, n=61){
-  const pts = [];
-  let maxR = 0;
-  for(let age=0; age<=maxAge; age++){
-    const r = pFailInMonth(age, alpha, beta);
-    maxR = Math.max(maxR, r);
-    pts.push({age, r});
-  }
-  // normalize for plotting
-  const denom = maxR > 0 ? maxR : 1;
-  return pts.map(p => ({age:p.age, r:p.r/denom, raw:p.r}));
+function monthStringToIndex(s){
+  const k = parseMonthKey(s);
+  return k === null ? null : k - nowMonthKey();
 }
 
-// Expected complaints for a target month offset (0=next month) using current cohorts
-// - Existing cohorts age by (moveMonths + targetOffset) beyond their baseline age.
-// - Apply CM reduction to cohorts made after cmStartIdx.
-// - Apply scaling factor.
-function expectedComplaintsForOffset(targetOffset, opts={}){
-  const alpha = state.alpha;
-  const beta = state.beta;
-  const scale = opts.scale ?? state.scale;
-  const cmEff = opts.cmEff ?? state.cmEff;
-  const cmStartIdx = opts.cmStartIdx ?? state.cmStartIdx;
-  const includeFutureCohorts = opts.includeFutureCohorts ?? true;
-  const eolOn = opts.eolOn ?? state.eolOn;
-  const eolRel = opts.eolRel ?? state.eolRel;
-
-  // Build cohorts including future production if required
-  const cohorts = buildCohortsForForecast(includeFutureCohorts, eolOn, eolRel);
-
-  // compute expected for the month "targetOffset" ahead of "now"
-  let total = 0;
-  for(const c of cohorts){
-    // Cohort age for the target month:
-    // If c.monthIndex = 0 is most recent cohort month.
-    // Age in months at "now" is -c.monthIndex (older -> bigger).
-    // For a future month offset, add targetOffset.
-    const ageNow = -c.monthIndex;
-    const ageAtTarget = ageNow + targetOffset;
+// Map a validated history into the model state (cohorts, complaints, spike window)
+function applyHistory({cohorts, complaints, source}){
+  state.cohorts = cohorts.map(c => ({...c}));
+  state.complaints = complaints.map(c => ({...c}));
+  state.spikeData = state.complaints.slice(-HISTORY_MIN_MONTHS).map(c => c.count);
+  state.spikeOverrides = {};
+  syncSpikeExclusions();
+  state.dataSource = source;
+  if(source && parseMonthKey(source.lastMonth) !== null) state.nowMonth = source.lastMonth;
+}
 
-    if(ageAtTarget < 0) continue;
+function importHistoryCsv(text, name){
+  const res = parseHistoryCsv(text);
+  if(!res.ok) return res;
+  applyHistory({
+    cohorts: res.cohorts,
+    complaints: res.complaints,
+    source: { name: name || "CSV", firstMonth: res.firstMonth, lastMonth: res.lastMonth }
+  });
+  return res;
+}
 
-    const r = pFailInMonth(ageAtTarget, alpha, beta);
+// Months of planned production (and of exported forecast)
+function forecastHorizon(){
+  return state.plan.horizon;
+}
 
-    // CM: cohorts made after CM start have reduced remaining risk
-    const cmFactor = (c.monthIndex > cmStartIdx) ? cmEff : 1.0;
+// Model inputs from the live state; opts override single fields
+// (dist, alpha, beta, infant, scale, cms, includeFutureCohorts, eolOn, eolRel, plan, attrition)
+function modelInputs(opts={}){
+  return {
+    cohorts: state.cohorts,
+    dist: opts.dist ?? state.dist,
+    alpha: opts.alpha ?? state.alpha,
+    beta: opts.beta ?? state.beta,
+    infant: opts.infant ?? state.infant,
+    scale: opts.scale ?? state.scale,
+    cms: opts.cms ?? state.cms,
+    includeFutureCohorts: opts.includeFutureCohorts ?? true,
+    eolOn: opts.eolOn ?? state.eolOn,
+    eolRel: opts.eolRel ?? state.eolRel,
+    plan: opts.plan ?? state.plan,
+    attrition: opts.attrition ?? state.attrition,
+    nowMonth: state.nowMonth
+  };
+}
 
-    total += c.machines * r * cmFactor;
-  }
-  return total * scale;
+// Expected complaints for a target month offset (0 = now month), see model.js
+function expectedComplaintsForOffset(targetOffset, opts={}){
+  return ComplaintModel.expectedComplaintsForOffset(targetOffset, modelInputs(opts));
 }
 
 // Build cohorts for forecast window: existing + (optional) future cohorts
 function buildCohortsForForecast(includeFuture, eolOn, eolRel){
-  const existing = state.cohorts.map(x => ({...x}));
+  return ComplaintModel.buildCohortsForForecast(state.cohorts, {
+    includeFuture, eolOn, eolRel, plan: state.plan, nowMonth: state.nowMonth
+  });
+}
 
-  if(!includeFuture) return existing;
+// Spike exclusions are stored as positions in spikeData (the last 12 history months)
+function isSpikeExcludedMonth(monthIndex){
+  const pos = monthIndex + (state.spikeData.length - 1);
+  return state.spikeExcluded.has(pos);
+}
+
+// Effective exclusions = detector flags (when auto is on) with the presenter's
+// clicks applied on top. spikeOverrides: position -> true (exclude) / false (keep)
+function syncSpikeExclusions(){
+  const flags = state.spikeAuto ? detectSpikes(state.spikeData, state.spikeThreshold) : new Map();
+  const out = new Set();
+  state.spikeData.forEach((_, i)=>{
+    const o = state.spikeOverrides[i];
+    if(o === true || (o === undefined && flags.has(i))) out.add(i);
+  });
+  state.spikeExcluded = out;
+}
 
-  // average of last 6 months production for future
-  const last6 = existing.slice(-6).map(c => c.machines);
-  const avg = last6.reduce((a,b)=>a+b,0) / Math.max(1,last6.length);
+function toggleSpikeExcluded(i){
+  const flagged = state.spikeAuto && detectSpikes(state.spikeData, state.spikeThreshold).has(i);
+  const want = !state.spikeExcluded.has(i);
+  if(want === flagged) delete state.spikeOverrides[i];
+  else state.spikeOverrides[i] = want;
+  syncSpikeExclusions();
+}
+
+/* ---------------------------
+   Fitting alpha/beta to history (maximum likelihood)
+   ---------------------------
+   Observed monthly complaints y_t are treated as Poisson with mean
+     mu_t = k * expectedComplaintsForOffset(t)   (t = history monthIndex <= 0)
+   using the same pFailInMonth discretisation as the forecast. The level k is
+   profiled out (k = Σy / Σmu), so the fit only decides the curve shape;
+   the level itself is set by calibration (page 7).
+*/
+const FIT_ALPHA_RANGE = { min: 12, max: 120, step: 1 };   // matches the page 5 sliders
+
+// Page 5 slider meaning per distribution; beta null = the family has no
+// second knob (exponential). `start` is used when switching family.
+const DIST_CONTROLS = {
+  weibull:     { label: "Weibull", alpha: "Typical lifetime (α, months)",
+                 beta: { label: "Sharpness (β)", min: 1, max: 8, step: 0.1, start: 3.5 } },
+  lognormal:   { label: "Lognormal", alpha: "Median lifetime (months)",
+                 beta: { label: "Spread (σ of log-lifetime)", min: 0.1, max: 2, step: 0.05, start: 0.5 } },
+  gamma:       { label: "Gamma", alpha: "Mean lifetime (months)",
+                 beta: { label: "Shape (k)", min: 0.5, max: 10, step: 0.1, start: 3 } },
+  exponential: { label: "Exponential (constant risk)", alpha: "Mean lifetime (months)", beta: null },
+  mixture:     { label: "Bathtub (infant mortality + wear-out)", alpha: "Wear-out lifetime (α, months)",
+                 beta: { label: "Wear-out sharpness (β)", min: 1, max: 8, step: 0.1, start: 3.5 } },
+};
+function fmtBeta(b, dist){
+  const c = DIST_CONTROLS[dist] && DIST_CONTROLS[dist].beta;
+  return Number(b).toFixed(c && c.step < 0.1 ? 2 : 1);
+}
 
-  // Add future cohorts monthIndex = 1..30 (toy horizon)
-  const horizon = 30;
-  for(let mi=1; mi<=horizon; mi++){
-    // If EOL ON, stop adding new cohorts after eolRel
-    if(eolOn && mi > eolRel) break;
-    const noise = (Math.sin(mi*0.7)*12); // deterministic small variation
-    existing.push({ monthIndex: mi, machines: Math.max(0, Math.round(avg + noise)) });
+function historyMonthsForFit(){
+  return state.complaints.filter(c => c.monthIndex <= 0 && !isSpikeExcludedMonth(c.monthIndex));
+}
+
+function lnFactorial(n){
+  let s = 0;
+  for(let i=2; i<=n; i++) s += Math.log(i);
+  return s;
+}
+
+// Goodness of fit for one (alpha, beta): log-likelihood + observed vs fitted by month
+function fitGoodness(alpha, beta, months=historyMonthsForFit()){
+  const base = months.map(c => expectedComplaintsForOffset(c.monthIndex, {
+    alpha, beta,
+    includeFutureCohorts: false,
+    scale: 1.0
+  }));
+  const sumY = months.reduce((a,c)=>a+c.count,0);
+  const sumMu = base.reduce((a,b)=>a+b,0);
+  const k = sumMu > 0 ? sumY / sumMu : 0;
+
+  let logLik = 0;
+  const rows = months.map((c, i)=>{
+    const mu = base[i] * k;
+    if(mu > 0) logLik += c.count*Math.log(mu) - mu - lnFactorial(c.count);
+    else if(c.count > 0) logLik = -Infinity;
+    return { monthIndex: c.monthIndex, observed: c.count, fitted: mu };
+  });
+  return { alpha, beta, level: k, logLik, rows };
+}
+
+// Coarse-to-fine search on the slider grid of the selected distribution:
+// the answer is always a value the sliders can show. The mixture fits its
+// wear-out part; the infant component stays as set. `months` narrows the
+// history (the backtest fits only the months before its cut-off).
+function fitCurveToHistory(months=historyMonthsForFit()){
+  if(months.length < 3) return null;
+  const A = FIT_ALPHA_RANGE;
+  // a family without beta (exponential) fits alpha only and keeps state.beta as is
+  const bControl = DIST_CONTROLS[state.dist].beta;
+  const B = bControl || { min: state.beta, max: state.beta, step: 1 };
+  const snapB = (b) => bControl ? Number((Math.round(clamp(b, B.min, B.max)/B.step)*B.step).toFixed(2)) : state.beta;
+  const coarse = Math.max(B.step, (B.max - B.min) / 14);
+
+  let best = null;
+  function scan(aLo, aHi, aStep, bLo, bHi, bStep){
+    for(let a=Math.max(A.min,aLo); a<=Math.min(A.max,aHi); a+=aStep){
+      for(let b=Math.max(B.min,bLo); b<=Math.min(B.max,bHi)+1e-9; b+=bStep){
+        const g = fitGoodness(a, snapB(b), months);
+        if(!best || g.logLik > best.logLik) best = g;
+      }
+    }
   }
-  return existing;
+  scan(A.min, A.max, 6, B.min, B.max, coarse);
+  const a0 = best.alpha, b0 = best.beta;
+  scan(a0-6, a0+6, A.step, b0-coarse, b0+coarse, B.step);
+  return best;
+}
+
+/* ---------------------------
+   Calibration (scale factor)
+   ---------------------------
+   Ratio of sums over the last `windowMonths` history months:
+     scale = Σ observed / Σ expectedComplaintsForOffset(t, scale=1)
+   Months marked as spikes on page 10 are left out of both sums.
+*/
+function calibrateScale(windowMonths){
+  const months = state.complaints.filter(c =>
+    c.monthIndex > -windowMonths && c.monthIndex <= 0
+  );
+  const used = months.filter(c => !isSpikeExcludedMonth(c.monthIndex));
+  const observed = used.reduce((a,c)=>a+c.count,0);
+  const expected = used.reduce((a,c)=>a+expectedComplaintsForOffset(c.monthIndex, {
+    includeFutureCohorts: false,
+    scale: 1.0
+  }),0);
+  if(!used.length || expected <= 0) return null;
+  return {
+    scale: observed / expected,
+    window: months.length,
+    excluded: months.length - used.length,
+    observed,
+    expected
+  };
 }
 
 // Total machines in field at some offset: sum of all cohorts up to that time (excluding future beyond offset)
 function machinesInFieldAtOffset(offset, opts={}){
-  const eolOn = opts.eolOn ?? state.eolOn;
-  const eolRel = opts.eolRel ?? state.eolRel;
-  const cohorts = buildCohortsForForecast(true, eolOn, eolRel);
-  // At offset months in future, cohorts with monthIndex <= offset exist
-  return cohorts.filter(c => c.monthIndex <= offset).reduce((s,c)=>s+c.machines,0);
+  return ComplaintModel.machinesInFieldAtOffset(offset, modelInputs(opts));
 }
 
 /* ---------------------------
-   Rendering: Slide switching
-   --------------------------- */
-const slides = Array.from(document.querySelectorAll(".slide"));
+   Failure-mode registry (groups)
+   ---------------------------
+   Each target group (e.g. cause/L6) has its own curve, scale and CM.
+   The flat state fields listed in GROUP_FIELDS are the live copy of the
+   selected group, so the single-curve pages (4–10) work unchanged;
+   commitActiveGroup() writes them back into state.groups.
+   Production, EOL and the complaint history are shared by all groups, so
+   fit and calibrate against history loaded for the selected failure mode.
+*/
+const GROUP_FIELDS = ["dist", "alpha", "beta", "infant", "presetTitle", "scale", "calibInfo", "cms", "cmSelected"];
+const GROUP_COLORS = [
+  "rgba(96,165,250,0.55)", "rgba(52,211,153,0.55)", "rgba(251,191,36,0.55)",
+  "rgba(251,113,133,0.55)", "rgba(167,139,250,0.55)", "rgba(45,212,191,0.55)"
+];
+
+function groupFromState(id){
+  const g = { id };
+  GROUP_FIELDS.forEach(k => { g[k] = state[k]; });
+  g.cms = state.cms.map(cm => ({...cm}));
+  return g;
+}
+function groupLabel(g, i){
+  return (g.presetTitle && g.presetTitle !== "—") ? displayTitle(g.presetTitle) : tx("Group {n}", { n: i+1 });
+}
+function groupColor(i){
+  return GROUP_COLORS[i % GROUP_COLORS.length];
+}
 
-function updateProgress(){
-  const p = state.slide;
-  const n = state.totalSlides;
-  document.getElementById("ptext").textContent = `${p} / ${n}`;
-  document.getElementById("pbar").style.width = `${(p-1)/(n-1)*100}%`;
-  document.getElementById("prevBtn").disabled = (p === 1);
-  document.getElementById("nextBtn").textContent = (p === n) ? "Done" : "Next";
+function commitActiveGroup(){
+  const i = state.groups.findIndex(g => g.id === state.activeGroup);
+  if(i >= 0) state.groups[i] = groupFromState(state.activeGroup);
+}
+function loadGroupIntoState(g){
+  GROUP_FIELDS.forEach(k => { state[k] = g[k]; });
+  state.cms = g.cms.map(cm => ({...cm}));
+  state.activeGroup = g.id;
+}
+function selectGroup(id){
+  const g = state.groups.find(x => x.id === id);
+  if(!g || id === state.activeGroup) return;
+  commitActiveGroup();
+  loadGroupIntoState(g);
+}
+function addGroup(){
+  commitActiveGroup();
+  const n = state.groups.reduce((m,g)=>Math.max(m, parseInt(String(g.id).slice(1),10) || 0), 0) + 1;
+  const g = { ...groupFromState(`g${n}`), presetTitle: `Group ${state.groups.length+1}` };
+  state.groups.push(g);
+  loadGroupIntoState(g);
+}
+function removeGroup(id){
+  if(state.groups.length <= 1) return;
+  const i = state.groups.findIndex(g => g.id === id);
+  if(i < 0) return;
+  state.groups.splice(i, 1);
+  if(id === state.activeGroup) loadGroupIntoState(state.groups[Math.max(0, i-1)]);
 }
 
-function showSlide(n){
-  state.slide = clamp(n, 1, state.totalSlides);
-  slides.forEach(s => s.classList.remove("active"));
-  const el = document.querySelector(`.slide[data-slide="${state.slide}"]`);
-  if(el) el.classList.add("active");
-  updateProgress();
+// Registry with the live edits of the selected group applied
+function groupsForForecast(){
+  commitActiveGroup();
+  return state.groups.map(g => ({...g}));
+}
+
+// Per-group expected complaints for one month + the stacked total.
+// opts are passed through (EOL, includeFutureCohorts); curve, scale and CM come from each group.
+function expectedComplaintsByGroup(targetOffset, opts={}){
+  const byGroup = groupsForForecast().map((g, i) => ({
+    id: g.id,
+    title: groupLabel(g, i),
+    value: expectedComplaintsForOffset(targetOffset, {
+      ...opts,
+      dist: g.dist, alpha: g.alpha, beta: g.beta, infant: g.infant,
+      scale: g.scale,
+      cms: g.cms
+    })
+  }));
+  return { total: byGroup.reduce((a,g)=>a+g.value,0), byGroup };
+}
+
+state.groups = [groupFromState("g1")];
+state.activeGroup = "g1";
+
+/* ---------------------------
+   Stochastic mode (prediction intervals)
+   ---------------------------
+   Off by default: every chart shows the expected value only. When on, each
+   run draws a lognormal jitter (sd = paramCv) on alpha, beta and scale, then
+   a Poisson count for every month. P10/P50/P90 are taken across runs.
+   The RNG is seeded, so the same settings always give the same bands.
+   One jitter is drawn per run and shared by all groups (a simplification:
+   it treats the groups' parameter errors as fully correlated).
+*/
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return function(){
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+function randNormal(rng){
+  const u = Math.max(rng(), 1e-12), v = rng();
+  return Math.sqrt(-2*Math.log(u)) * Math.cos(2*Math.PI*v);
+}
+// Knuth's method for small means; normal approximation above 30
+function randPoisson(rng, lambda){
+  if(!(lambda > 0)) return 0;
+  if(lambda > 30) return Math.max(0, Math.round(lambda + Math.sqrt(lambda)*randNormal(rng)));
+  const L = Math.exp(-lambda);
+  let k = 0, p = 1;
+  do { k++; p *= rng(); } while(p > L);
+  return k - 1;
+}
+function quantile(xs, q){
+  const s = xs.slice().sort((a,b)=>a-b);
+  if(!s.length) return 0;
+  const pos = (s.length-1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return s[lo] + (s[hi] - s[lo]) * (pos - lo);
+}
+
+// meanFn(offset, jitter) -> expected complaints for that month, where jitter =
+// {alpha, beta, scale} multipliers. Returns [{offset, p10, p50, p90}] or null when off;
+// the array's `total` is {p10, p50, p90} of each run's sum over all the months
+// (summing the monthly P10s/P90s would give a far wider range than that).
+function forecastBands(offsets, meanFn){
+  const st = state.stochastic;
+  if(!st.on) return null;
+  const rng = mulberry32(st.seed);
+  const sims = offsets.map(() => []);
+  const totals = [];
+  for(let r=0; r<st.runs; r++){
+    const jitter = {
+      alpha: Math.exp(st.paramCv * randNormal(rng)),
+      beta:  Math.exp(st.paramCv * randNormal(rng)),
+      scale: Math.exp(st.paramCv * randNormal(rng)),
+    };
+    let total = 0;
+    offsets.forEach((k, i) => {
+      const n = randPoisson(rng, meanFn(k, jitter));
+      sims[i].push(n);
+      total += n;
+    });
+    totals.push(total);
+  }
+  const bands = offsets.map((k, i) => ({
+    offset: k,
+    p10: quantile(sims[i], 0.10),
+    p50: quantile(sims[i], 0.50),
+    p90: quantile(sims[i], 0.90),
+  }));
+  bands.total = { p10: quantile(totals, 0.10), p50: quantile(totals, 0.50), p90: quantile(totals, 0.90) };
+  return bands;
+}
+
+// Bands for the selected group (pages 8 and 9)
+function activeGroupBands(offsets, opts={}){
+  return forecastBands(offsets, (k, j) => expectedComplaintsForOffset(k, {
+    ...opts,
+    alpha: state.alpha * j.alpha,
+    beta: state.beta * j.beta,
+    scale: (opts.scale ?? state.scale) * j.scale
+  }));
+}
+// Bands for the all-groups total (page 11)
+function totalBands(offsets, opts={}){
+  const groups = groupsForForecast();
+  return forecastBands(offsets, (k, j) => groups.reduce((sum, g) => sum + expectedComplaintsForOffset(k, {
+    ...opts,
+    dist: g.dist, infant: g.infant,
+    alpha: g.alpha * j.alpha,
+    beta: g.beta * j.beta,
+    scale: g.scale * j.scale,
+    cms: g.cms
+  }), 0));
+}
+
+// Shaded P10–P90 area for a forecast chart; cleared when stochastic mode is off
+function drawBand(pathEl, bands, xAt, yAt){
+  if(!pathEl) return;
+  if(!bands){
+    pathEl.setAttribute("d", "");
+    return;
+  }
+  const top = bands.map((b,i)=>`${i===0?"M":"L"}${xAt(i)},${yAt(b.p90)}`).join(" ");
+  const bottom = bands.map((b,i)=>`L${xAt(i)},${yAt(b.p10)}`).reverse().join(" ");
+  pathEl.setAttribute("d", `${top} ${bottom} Z`);
+}
+
+// " · total P10–P90: a–b" suffix for the forecast labels (range of the total)
+function bandRangeText(bands){
+  if(!bands) return "";
+  return tx(" · total P10–P90: {lo}–{hi}", { lo: fmt(bands.total.p10,0), hi: fmt(bands.total.p90,0) });
+}
+
+/* ---------------------------
+   Forecast export (CSV / JSON)
+   ---------------------------
+   The full monthly series (offsets 0..forecastHorizon()-1, 0 = now month)
+   plus the assumptions that produced it, for planning spreadsheets.
+*/
+function forecastExportRows(){
+  const opts = { includeFutureCohorts:true, eolOn: state.eolOn, eolRel: state.eolRel };
+  const offsets = [...Array(forecastHorizon())].map((_,k)=>k);
+  const bands = totalBands(offsets, opts);
+  return offsets.map((k, i) => {
+    const m = expectedComplaintsByGroup(k, opts);
+    const machines = machinesInFieldAtOffset(k, { eolOn: state.eolOn, eolRel: state.eolRel });
+    const row = {
+      month: monthIndexToString(k),
+      offset: k,
+      expectedComplaints: m.total,
+      byGroup: m.byGroup.map(g => ({ title: g.title, expectedComplaints: g.value })),
+      machinesInField: machines,
+      impliedRate: machines > 0 ? m.total / machines : 0
+    };
+    if(bands) Object.assign(row, { p10: bands[i].p10, p50: bands[i].p50, p90: bands[i].p90 });
+    return row;
+  });
+}
+
+function forecastAssumptions(){
+  const lastPos = state.spikeData.length - 1;
+  return {
+    nowMonth: state.nowMonth,
+    data: state.dataSource ? { ...state.dataSource } : { name: "Toy data" },
+    groups: groupsForForecast().map((g, i) => ({
+      title: groupLabel(g, i),
+      distribution: g.dist,
+      alpha: g.alpha,
+      beta: g.beta,
+      infant: g.dist === "mixture" ? { ...g.infant } : undefined,
+      scale: g.scale,
+      calibration: g.calibInfo,
+      countermeasures: g.cms.map(cm => ({
+        type: cm.type,
+        startMonth: monthIndexToString(cm.start),
+        remainingRisk: cm.eff,
+        phaseInMonths: cm.phaseIn
+      }))
+    })),
+    eol: { on: state.eolOn, month: monthIndexToString(state.eolRel) },
+    productionPlan: {
+      level: state.plan.level ?? "average of last 6 months",
+      trendPerMonth: state.plan.trend,
+      seasonalPercent: state.plan.seasonal,
+      rampDownMonths: state.plan.rampDown,
+      manual: state.plan.manual.map((m, i) => m === null ? null : { month: monthIndexToString(i+1), machines: m }).filter(Boolean),
+      horizonMonths: state.plan.horizon
+    },
+    attrition: state.attrition.mode === "none" ? null : { ...state.attrition },
+    excludedSpikeMonths: [...state.spikeExcluded].sort((a,b)=>a-b).map(i => monthIndexToString(i - lastPos)),
+    stochastic: state.stochastic.on ? { ...state.stochastic } : null
+  };
+}
+
+function csvCell(v){
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
+}
+
+// Assumptions as their own two-column CSV (the forecast CSV stays plain
+// so spreadsheets can read it from the header row on)
+function assumptionsToCsv(assumptions){
+  const lines = ["assumption,value"];
+  const add = (key, value) => lines.push(`${csvCell(key)},${csvCell(value)}`);
+  add("now month", assumptions.nowMonth);
+  add("data", assumptions.data.name);
+  assumptions.groups.forEach(g => {
+    const cms = g.countermeasures.map(cm => `${cm.type} ${cm.startMonth} ${Math.round(cm.remainingRisk*100)}% phase-in ${cm.phaseInMonths}`).join("; ");
+    const infant = g.infant ? ` (infant ${Math.round(g.infant.weight*100)}% alpha ${g.infant.alpha} beta ${g.infant.beta})` : "";
+    add(`group ${g.title}`, `${g.distribution}${infant}; alpha ${g.alpha}; beta ${fmtBeta(g.beta, g.distribution)}; scale ${g.scale.toFixed(3)}; ${cms || "no CM"}`);
+  });
+  add("EOL", assumptions.eol.on ? assumptions.eol.month : "off");
+  add("excluded spike months", assumptions.excludedSpikeMonths.join(" ") || "none");
+  if(assumptions.stochastic){
+    const st = assumptions.stochastic;
+    add("stochastic", `seed ${st.seed}; runs ${st.runs}; parameter cv ${st.paramCv}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Header row, then one row per month
+function forecastToCsv(rows){
+  const lines = [];
+  const groupTitles = rows.length ? rows[0].byGroup.map(g => g.title) : [];
+  const header = ["month", "offset", "expected_complaints"];
+  if(groupTitles.length > 1) groupTitles.forEach(t => header.push(`expected_complaints:${t}`));
+  header.push("machines_in_field", "implied_rate");
+  const stoch = rows.length && rows[0].p10 !== undefined;
+  if(stoch) header.push("p10", "p50", "p90");
+  lines.push(header.map(csvCell).join(","));
+
+  rows.forEach(r => {
+    const cells = [r.month, r.offset, r.expectedComplaints.toFixed(3)];
+    if(groupTitles.length > 1) r.byGroup.forEach(g => cells.push(g.expectedComplaints.toFixed(3)));
+    cells.push(r.machinesInField, r.impliedRate.toFixed(6));
+    if(stoch) cells.push(r.p10.toFixed(1), r.p50.toFixed(1), r.p90.toFixed(1));
+    lines.push(cells.join(","));
+  });
+  return lines.join("\n") + "\n";
+}
+
+function downloadText(filename, text, type){
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(()=> URL.revokeObjectURL(url), 0);
+}
+
+function exportForecast(format){
+  const rows = forecastExportRows();
+  const assumptions = forecastAssumptions();
+  const name = `complaint-forecast-${state.nowMonth}`;
+  if(format === "json"){
+    const out = { assumptions, series: rows };
+    if(state.daily.on){
+      assumptions.daily = { mode: state.daily.mode, holidays: state.daily.holidays.slice() };
+      out.daily = dailySeries(rows);
+    }
+    downloadText(`${name}.json`, JSON.stringify(out, null, 2), "application/json");
+  }else if(format === "daily-csv"){
+    downloadText(`${name}-daily.csv`, dailyToCsv(dailySeries(rows)), "text/csv");
+  }else if(format === "assumptions-csv"){
+    downloadText(`${name}-assumptions.csv`, assumptionsToCsv(assumptions), "text/csv");
+  }else{
+    downloadText(`${name}.csv`, forecastToCsv(rows), "text/csv");
+  }
+}
+
+/* ---------------------------
+   Daily proration
+   ---------------------------
+   The model is monthly. For systems that plan by day, each month's expected
+   count is split over its days: evenly over calendar days, or evenly over
+   working days (Mon–Fri minus the holiday list). A month with no working
+   days falls back to calendar days so its count is never lost.
+*/
+function parseDayKey(s){
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s).trim());
+  if(!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2]-1, +m[3]));
+  return (d.getUTCMonth() === +m[2]-1 && d.getUTCDate() === +m[3]) ? m[0] : null;
+}
+// "2026-01-01, 2026-05-05" -> {dates, errors}
+function parseHolidayList(text){
+  const dates = [], errors = [];
+  String(text).split(/[\s,;]+/).filter(Boolean).forEach(tok => {
+    const d = parseDayKey(tok);
+    if(d) dates.push(d);
+    else errors.push(tx("\"{value}\" is not a YYYY-MM-DD date.", { value: tok }));
+  });
+  return { dates: [...new Set(dates)].sort(), errors };
+}
+
+// One month (integer key) -> [{date, value}] that sums to `total`
+function prorateMonth(monthKey, total, daily=state.daily){
+  const y = Math.floor(monthKey/12), m0 = monthKey - y*12;
+  const nDays = new Date(Date.UTC(y, m0+1, 0)).getUTCDate();
+  const holidays = new Set(daily.holidays);
+  const days = [];
+  for(let d=1; d<=nDays; d++){
+    const date = `${monthKeyToString(monthKey)}-${String(d).padStart(2,"0")}`;
+    const dow = new Date(Date.UTC(y, m0, d)).getUTCDay();
+    const working = dow !== 0 && dow !== 6 && !holidays.has(date);
+    days.push({ date, weight: (daily.mode === "working") ? (working ? 1 : 0) : 1 });
+  }
+  let sum = days.reduce((a,d)=>a+d.weight,0);
+  if(sum === 0){
+    days.forEach(d => { d.weight = 1; });
+    sum = nDays;
+  }
+  return days.map(d => ({ date: d.date, value: total * d.weight / sum }));
+}
+
+// Monthly rows ({offset, expectedComplaints}) -> daily rows
+function dailySeries(rows){
+  const now = nowMonthKey();
+  return rows.flatMap(r => prorateMonth(now + r.offset, r.expectedComplaints));
+}
+
+function dailyToCsv(days){
+  const mode = state.daily.mode === "working" ? "working days" : "calendar days";
+  const lines = [`# prorated over ${mode}`];
+  if(state.daily.mode === "working") lines.push(`# holidays,${state.daily.holidays.join(" ") || "none"}`);
+  lines.push("date,expected_complaints");
+  days.forEach(d => lines.push(`${d.date},${d.value.toFixed(4)}`));
+  return lines.join("\n") + "\n";
+}
+
+function renderModeHint(){
+  const hint = document.querySelector("header .hint");
+  if(!hint) return;
+  const st = state.stochastic;
+  hint.textContent = st.on
+    ? tx("Stochastic mode: P10–P90 bands from {runs} runs (seed {seed}).", { runs: st.runs, seed: st.seed })
+    : tx("Deterministic version only (no randomness).");
+}
+
+// Header picker on the aging-curve pages
+function renderGroupSelect(){
+  const sel = document.getElementById("groupSelect");
+  if(!sel) return;
+  sel.innerHTML = "";
+  state.groups.forEach((g, i)=>{
+    const opt = document.createElement("option");
+    opt.value = g.id;
+    opt.textContent = groupLabel(g.id === state.activeGroup ? groupFromState(g.id) : g, i);
+    sel.appendChild(opt);
+  });
+  sel.value = state.activeGroup;
+  const removeBtn = document.getElementById("btnRemoveGroup");
+  if(removeBtn) removeBtn.disabled = state.groups.length <= 1;
+  const titleEl = document.getElementById("groupTitle");
+  if(titleEl && document.activeElement !== titleEl) titleEl.value = state.presetTitle === "—" ? "" : displayTitle(state.presetTitle);
+}
+
+function onGroupChanged(){
+  applyStateToControls();
+  renderGroupSelect();
   onEnterSlide(state.slide);
+  saveStateDebounced();
 }
 
-document.getElementById("prevBtn").addEventListener("click", ()=>showSlide(state.slide-1));
-document.getElementById("nextBtn").addEventListener("click", ()=>{
-  if(state.slide === state.totalSlides) return;
-  showSlide(state.slide+1);
+const groupSelectEl = document.getElementById("groupSelect");
+if(groupSelectEl) groupSelectEl.addEventListener("change", ()=>{
+  selectGroup(groupSelectEl.value);
+  onGroupChanged();
+});
+const btnAddGroup = document.getElementById("btnAddGroup");
+if(btnAddGroup) btnAddGroup.addEventListener("click", ()=>{
+  addGroup();
+  onGroupChanged();
+});
+const btnRemoveGroup = document.getElementById("btnRemoveGroup");
+if(btnRemoveGroup) btnRemoveGroup.addEventListener("click", ()=>{
+  removeGroup(state.activeGroup);
+  onGroupChanged();
+});
+const groupTitleEl = document.getElementById("groupTitle");
+if(groupTitleEl) groupTitleEl.addEventListener("input", ()=>{
+  state.presetTitle = groupTitleEl.value.trim() || "—";
+  const presetTitleEl = document.getElementById("presetTitle");
+  if(presetTitleEl) presetTitleEl.textContent = displayTitle(state.presetTitle);
+  renderGroupSelect();
+  saveStateDebounced();
 });
 
-// keyboard navigation
-window.addEventListener("keydown", (e)=>{
-  if(e.key === "ArrowLeft") showSlide(state.slide-1);
-  if(e.key === "ArrowRight") showSlide(state.slide+1);
-  if(/^[1-9]$/.test(e.key)){
-    const k = parseInt(e.key,10);
-    // jump within range
-    if(k <= state.totalSlides) showSlide(k);
+/* ---------------------------
+   Named scenarios
+   ---------------------------
+   A scenario is a frozen copy of everything that shapes the forecast and is
+   not shared data: the failure-mode registry (curves, scales, CMs) and EOL.
+   Production and complaint history stay shared, so scenarios compare
+   decisions on the same installed base. Shown scenarios are drawn as dashed
+   overlays on pages 8, 9 and 11; page 11 has the comparison table.
+*/
+const SCENARIO_COLORS = [
+  "rgba(244,114,182,0.9)", "rgba(250,204,21,0.9)", "rgba(167,139,250,0.9)",
+  "rgba(45,212,191,0.9)", "rgba(251,146,60,0.9)"
+];
+
+function saveScenario(name){
+  const n = state.scenarios.reduce((m,sc)=>Math.max(m, parseInt(String(sc.id).slice(1),10) || 0), 0) + 1;
+  const sc = {
+    id: `s${n}`,
+    name: String(name || "").trim() || `Scenario ${n}`,
+    groups: JSON.parse(JSON.stringify(groupsForForecast())),
+    activeGroup: state.activeGroup,
+    eolOn: state.eolOn,
+    eolRel: state.eolRel,
+    plan: JSON.parse(JSON.stringify(state.plan)),
+    attrition: { ...state.attrition },
+    shown: true
+  };
+  state.scenarios.push(sc);
+  return sc;
+}
+function deleteScenario(id){
+  state.scenarios = state.scenarios.filter(sc => sc.id !== id);
+  if(state.scenarioBaseline === id) state.scenarioBaseline = "live";
+}
+// Make a saved scenario the live settings
+function loadScenario(id){
+  const sc = state.scenarios.find(x => x.id === id);
+  if(!sc) return;
+  state.groups = JSON.parse(JSON.stringify(sc.groups));
+  state.eolOn = sc.eolOn;
+  state.eolRel = sc.eolRel;
+  if(sc.plan) state.plan = JSON.parse(JSON.stringify(sc.plan));
+  if(sc.attrition) state.attrition = { ...sc.attrition };
+  loadGroupIntoState(state.groups.find(g => g.id === sc.activeGroup) || state.groups[0]);
+}
+function scenarioColor(sc){
+  return SCENARIO_COLORS[state.scenarios.indexOf(sc) % SCENARIO_COLORS.length];
+}
+
+// Monthly forecast (offsets 0..n-1) for a scenario, or for the live settings
+// when sc is null. With groupId, only that group (pages 8/9 show one group);
+// a scenario without that group contributes its total instead.
+function scenarioSeries(sc, n, groupId){
+  const src = sc || { groups: groupsForForecast(), eolOn: state.eolOn, eolRel: state.eolRel, plan: state.plan, attrition: state.attrition };
+  const one = groupId ? src.groups.filter(g => g.id === groupId) : [];
+  const groups = one.length ? one : src.groups;
+  const out = [];
+  for(let k=0; k<n; k++){
+    out.push(groups.reduce((sum, g) => sum + expectedComplaintsForOffset(k, {
+      includeFutureCohorts: true,
+      eolOn: src.eolOn, eolRel: src.eolRel, plan: src.plan, attrition: src.attrition,
+      dist: g.dist, alpha: g.alpha, beta: g.beta, infant: g.infant, scale: g.scale, cms: g.cms
+    }), 0));
   }
+  return out;
+}
+function shownScenarioSeries(n, groupId){
+  return state.scenarios.filter(sc => sc.shown).map(sc => ({
+    name: sc.name, color: scenarioColor(sc), values: scenarioSeries(sc, n, groupId)
+  }));
+}
+
+// Dashed scenario lines with their names at the right end
+function drawScenarioOverlays(g, overlays, xAt, yAt){
+  if(!g) return;
+  g.innerHTML = "";
+  overlays.forEach((o, j) => {
+    const path = document.createElementNS("http://www.w3.org/2000/svg","path");
+    path.setAttribute("d", o.values.map((v,i)=>`${i===0?"M":"L"}${xAt(i)},${yAt(v)}`).join(" "));
+    path.setAttribute("fill", "none");
+    path.setAttribute("stroke", o.color);
+    path.setAttribute("stroke-width", "2");
+    path.setAttribute("stroke-dasharray", "6 5");
+    g.appendChild(path);
+
+    const last = o.values.length - 1;
+    const t = document.createElementNS("http://www.w3.org/2000/svg","text");
+    t.setAttribute("x", xAt(last) - 4);
+    t.setAttribute("y", yAt(o.values[last]) - 6 - j*12);
+    t.setAttribute("fill", o.color);
+    t.setAttribute("font-size", "11");
+    t.setAttribute("text-anchor", "end");
+    t.textContent = o.name;
+    g.appendChild(t);
+  });
+}
+
+// [{id, name, total12, total24, delta24, deltaPct}] with "live" first
+function scenarioComparison(){
+  const rows = [{ id: "live", name: tx("Current settings"), series: scenarioSeries(null, 24) }]
+    .concat(state.scenarios.map(sc => ({ id: sc.id, name: sc.name, series: scenarioSeries(sc, 24) })));
+  rows.forEach(r => {
+    r.total12 = r.series.slice(0,12).reduce((a,b)=>a+b,0);
+    r.total24 = r.series.reduce((a,b)=>a+b,0);
+  });
+  const base = rows.find(r => r.id === state.scenarioBaseline) || rows[0];
+  return rows.map(r => ({
+    id: r.id, name: r.name, total12: r.total12, total24: r.total24,
+    delta24: r.total24 - base.total24,
+    deltaPct: base.total24 > 0 ? (r.total24 - base.total24) / base.total24 : 0,
+    baseline: r === base
+  }));
+}
+
+function renderScenarioTable(){
+  const table = document.getElementById("scenarioTable");
+  if(!table) return;
+  table.innerHTML = "";
+  const head = table.createTHead().insertRow();
+  ["Show", "Scenario", "Next 12 m", "Next 24 m", "Δ 24 m vs baseline", "Baseline", ""].forEach(h => {
+    const th = document.createElement("th");
+    th.textContent = h && tx(h);
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  scenarioComparison().forEach(r => {
+    const sc = state.scenarios.find(x => x.id === r.id);
+    const tr = body.insertRow();
+
+    const show = tr.insertCell();
+    if(sc){
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = sc.shown;
+      cb.setAttribute("aria-label", tx("Overlay {name} on the charts", { name: sc.name }));
+      cb.addEventListener("change", ()=>{
+        sc.shown = cb.checked;
+        onScenariosChanged();
+      });
+      show.appendChild(cb);
+      const swatch = document.createElement("span");
+      swatch.className = "swatch";
+      swatch.style.background = scenarioColor(sc);
+      show.appendChild(swatch);
+    }
+    tr.insertCell().textContent = r.name;
+    tr.insertCell().textContent = fmt(r.total12,1);
+    tr.insertCell().textContent = fmt(r.total24,1);
+    tr.insertCell().textContent = r.baseline ? "—" : `${r.delta24 >= 0 ? "+" : ""}${fmt(r.delta24,1)} (${r.deltaPct >= 0 ? "+" : ""}${fmt(r.deltaPct*100,1)}%)`;
+
+    const baseCell = tr.insertCell();
+    const radio = document.createElement("input");
+    radio.type = "radio";
+    radio.name = "scenarioBaseline";
+    radio.checked = r.baseline;
+    radio.setAttribute("aria-label", tx("Use {name} as baseline", { name: r.name }));
+    radio.addEventListener("change", ()=>{
+      state.scenarioBaseline = r.id;
+      onScenariosChanged();
+    });
+    baseCell.appendChild(radio);
+
+    const actions = tr.insertCell();
+    if(sc){
+      const load = document.createElement("button");
+      load.type = "button";
+      load.textContent = tx("Load");
+      load.addEventListener("click", ()=>{
+        loadScenario(sc.id);
+        onGroupChanged();
+      });
+      const del = document.createElement("button");
+      del.type = "button";
+      del.textContent = tx("Delete");
+      del.addEventListener("click", ()=>{
+        deleteScenario(sc.id);
+        onScenariosChanged();
+      });
+      actions.append(load, del);
+    }
+  });
+}
+
+// page 11 re-renders the table on enter; pages 8/9 redraw their overlays
+function onScenariosChanged(){
+  onEnterSlide(state.slide);
+  saveStateDebounced();
+}
+
+const btnSaveScenario = document.getElementById("btnSaveScenario");
+if(btnSaveScenario) btnSaveScenario.addEventListener("click", ()=>{
+  const nameEl = document.getElementById("scenarioName");
+  saveScenario(nameEl ? nameEl.value : "");
+  if(nameEl) nameEl.value = "";
+  onScenariosChanged();
 });
 
-// Slide enter hook
+/* ---------------------------
+   Backtest (page 14)
+   ---------------------------
+   Pretend "now" was the month before the cut-off, forecast the months after
+   it with only the data known then (see ComplaintModel.backtest) and score
+   the forecast against what actually happened, for the selected group.
+*/
+const BACKTEST_HORIZONS = [3, 6, 12];
+const BACKTEST_MIN_TRAIN = 3;   // history months needed before the cut-off
+
+// Cut-off choices: leave at least BACKTEST_MIN_TRAIN months to learn from
+function backtestCutoffRange(){
+  const first = state.complaints.length ? Math.min(...state.complaints.map(c => c.monthIndex)) : 0;
+  return { min: Math.min(0, first + BACKTEST_MIN_TRAIN), max: 0 };
+}
+
+function runBacktest(){
+  const range = backtestCutoffRange();
+  const cutoff = clamp(state.backtest.cutoff, range.min, range.max);
+  let curve = { alpha: state.alpha, beta: state.beta };
+  if(state.backtest.refit){
+    const fit = fitCurveToHistory(historyMonthsForFit().filter(c => c.monthIndex < cutoff));
+    if(fit) curve = { alpha: fit.alpha, beta: fit.beta };
+  }
+  const res = ComplaintModel.backtest(modelInputs(curve), cutoff, state.complaints, {
+    calibWindow: state.calibWindow,
+    exclude: isSpikeExcludedMonth
+  });
+  return { ...res, cutoff, curve, errors: ComplaintModel.forecastErrors(res.rows, BACKTEST_HORIZONS) };
+}
+
+function renderBacktestControls(){
+  const sel = document.getElementById("btCutoff");
+  if(sel){
+    const range = backtestCutoffRange();
+    sel.innerHTML = "";
+    for(let idx=range.min; idx<=range.max; idx++){
+      const opt = document.createElement("option");
+      opt.value = String(idx);
+      opt.textContent = tx(idx === 0 ? "{month} (1 month held out)" : "{month} ({n} months held out)", { month: monthIndexToString(idx), n: 1-idx });
+      sel.appendChild(opt);
+    }
+    sel.value = String(clamp(state.backtest.cutoff, range.min, range.max));
+  }
+  const btn = document.getElementById("btnBtRefit");
+  if(btn) btn.textContent = tx(state.backtest.refit ? "Re-fit curve before the cut-off: ON" : "Re-fit curve before the cut-off: OFF");
+}
+
+function renderBacktestTable(bt){
+  const table = document.getElementById("btMetrics");
+  if(!table) return;
+  table.innerHTML = "";
+  const head = document.createElement("tr");
+  ["Horizon", "MAE", "MAPE", "Bias"].forEach(t => {
+    const th = document.createElement("th");
+    th.textContent = tx(t);
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+  bt.errors.forEach(e => {
+    const tr = document.createElement("tr");
+    const cells = e.complete
+      ? [tx("{n} months", { n: e.horizon }), fmt(e.mae,2), e.mape === null ? "—" : `${fmt(e.mape,1)}%`, `${e.bias >= 0 ? "+" : ""}${fmt(e.bias,2)}`]
+      : [tx("{n} months", { n: e.horizon }), tx("needs {n} held-out months ({available} available)", { n: e.horizon, available: e.n }), "", ""];
+    cells.forEach(t => {
+      const td = document.createElement("td");
+      td.textContent = t;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+}
+
+function renderBacktest(){
+  const svg = svgEl("viz14");
+  if(!svg) return;
+  renderBacktestControls();
+  const bt = runBacktest();
+  renderBacktestTable(bt);
+
+  const info = document.getElementById("btInfo");
+  if(info){
+    const curve = state.backtest.refit ? tx(" Curve re-fitted: α={alpha}, β={beta}.", { alpha: bt.curve.alpha, beta: fmtBeta(bt.curve.beta, state.dist) }) : "";
+    info.textContent = tx(bt.calibMonths === 1 ? "Level recalibrated on 1 month before {month}: scale ×{scale}." : "Level recalibrated on {n} months before {month}: scale ×{scale}.",
+      { n: bt.calibMonths, month: monthIndexToString(bt.cutoff), scale: fmt(bt.scale,3) }) + curve;
+  }
+
+  const rows = bt.rows;
+  const g = svgEl("btBars");
+  g.innerHTML = "";
+  const x0=90, x1=810, y0=420, y1=150;
+  const maxV = Math.max(...rows.map(r => Math.max(r.actual, r.predicted)), 1);
+  const w = (x1-x0) / Math.max(1, rows.length);
+  const xMid = (i) => x0 + (i+0.5)*w;
+  const yAt = (v) => y0 - (v/maxV)*(y0-y1);
+  rows.forEach((r, i) => {
+    const rect = document.createElementNS("http://www.w3.org/2000/svg","rect");
+    rect.setAttribute("x", x0 + i*w + 3);
+    rect.setAttribute("y", yAt(r.actual));
+    rect.setAttribute("width", Math.max(2, w-6));
+    rect.setAttribute("height", y0 - yAt(r.actual));
+    rect.setAttribute("rx", 5);
+    rect.setAttribute("fill", r.heldOut ? "rgba(96,165,250,0.55)" : "rgba(96,165,250,0.22)");
+    g.appendChild(rect);
+  });
+  const path = (list) => list.map((r, j) => `${j===0?"M":"L"}${xMid(rows.indexOf(r))},${yAt(r.predicted)}`).join(" ");
+  const firstHeld = rows.findIndex(r => r.heldOut);
+  // the fitted line runs into the first held-out month so the two paths join
+  svgEl("btFitted").setAttribute("d", path(rows.slice(0, firstHeld < 0 ? rows.length : firstHeld + 1)));
+  svgEl("btPredicted").setAttribute("d", firstHeld < 0 ? "" : path(rows.slice(firstHeld)));
+
+  const cut = svgEl("btCutoffLine");
+  const cutLbl = svgEl("btCutoffLabel");
+  if(firstHeld >= 0){
+    const x = x0 + firstHeld*w;
+    cut.setAttribute("x1", x);
+    cut.setAttribute("x2", x);
+    cut.setAttribute("opacity", "1");
+    cutLbl.setAttribute("x", clamp(x + 6, x0, x1 - 80));
+    setText(cutLbl, tx("cut-off {month}", { month: monthIndexToString(bt.cutoff) }));
+  }else{
+    cut.setAttribute("opacity", "0");
+    setText(cutLbl, "");
+  }
+  renderDataTable("viz14Table", [tx("Month"), tx("Actual"), tx("Predicted"), tx("Held out")],
+    rows.map(r => [monthIndexToString(r.monthIndex), fmtInt(r.actual), fmt(r.predicted,1), tx(r.heldOut ? "Yes" : "No")]));
+  setText(svgEl("btAxisStart"), rows.length ? monthIndexToString(rows[0].monthIndex) : "—");
+  setText(svgEl("btAxisEnd"), rows.length ? monthIndexToString(rows[rows.length-1].monthIndex) : "—");
+}
+
+const btCutoffEl = document.getElementById("btCutoff");
+if(btCutoffEl) btCutoffEl.addEventListener("change", ()=>{
+  state.backtest.cutoff = parseInt(btCutoffEl.value,10);
+  renderBacktest();
+  saveStateDebounced();
+});
+const btnBtRefitEl = document.getElementById("btnBtRefit");
+if(btnBtRefitEl) btnBtRefitEl.addEventListener("click", ()=>{
+  state.backtest.refit = !state.backtest.refit;
+  renderBacktest();
+  saveStateDebounced();
+});
+
+/* ---------------------------
+   Sensitivity tornado (page 15)
+   ---------------------------
+   One driver at a time (see ComplaintModel.sensitivity) on the 24-month
+   total of the selected group; bars run from the base total to the total
+   with the driver at its low and at its high value.
+*/
+const SENSITIVITY_MONTHS = 24;
+const SENSITIVITY_LABELS = {
+  alpha: "α (lifetime)", beta: "β (shape)", scale: "Scale",
+  cmEff: "CM remaining risk", cmStart: "CM start", eolRel: "EOL month"
+};
+function sensitivityValueText(param, v){
+  if(param === "cmStart" || param === "eolRel") return monthIndexToString(Math.round(v));
+  if(param === "cmEff") return `${Math.round(v*100)}%`;
+  if(param === "alpha") return fmt(v,0);
+  return fmt(v,2);
+}
+
+function renderSensitivityControls(){
+  const sn = state.sensitivity;
+  const pctEl = document.getElementById("sensPct");
+  if(pctEl) pctEl.value = String(Math.round(sn.pct*100));
+  const pctLbl = document.getElementById("sensPctLabel");
+  if(pctLbl) pctLbl.textContent = `±${Math.round(sn.pct*100)}%`;
+  const shiftEl = document.getElementById("sensShift");
+  if(shiftEl) shiftEl.value = String(sn.shift);
+  const shiftLbl = document.getElementById("sensShiftLabel");
+  if(shiftLbl) shiftLbl.textContent = tx("±{n} mo", { n: sn.shift });
+}
+
+function renderSensitivity(){
+  const g = svgEl("tornadoBars");
+  if(!g) return;
+  renderSensitivityControls();
+  const res = ComplaintModel.sensitivity(modelInputs(), {
+    pct: state.sensitivity.pct,
+    shift: state.sensitivity.shift,
+    months: SENSITIVITY_MONTHS,
+    cmIndex: state.cmSelected
+  });
+
+  const sum = document.getElementById("sensSummary");
+  if(sum){
+    const top = res.rows[0];
+    sum.textContent = tx("Base {months}-month total: {base}. Biggest driver: {driver} ({low}–{high}).", {
+      months: SENSITIVITY_MONTHS, base: fmt(res.base,1), driver: tx(SENSITIVITY_LABELS[top.param]),
+      low: fmtInt(Math.min(top.low.total, top.high.total)), high: fmtInt(Math.max(top.low.total, top.high.total))
+    }) + (state.eolOn ? "" : tx(" EOL is off (Page 9), so the EOL month has no effect."));
+  }
+
+  g.innerHTML = "";
+  const NS = "http://www.w3.org/2000/svg";
+  const xL = 300, xR = 800, yTop = 150, rowH = 46;
+  const all = res.rows.flatMap(r => [r.low.total, r.high.total]).concat(res.base);
+  const lo = Math.min(...all), hi = Math.max(...all);
+  const span = Math.max(hi - lo, 1e-9);
+  const xAt = (v) => xL + (v - lo) / span * (xR - xL);
+  const add = (tag, attrs, text) => {
+    const el = document.createElementNS(NS, tag);
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+    if(text !== undefined) el.textContent = text;
+    g.appendChild(el);
+    return el;
+  };
+
+  res.rows.forEach((r, i) => {
+    const y = yTop + i*rowH;
+    const bar = (v, fill) => {
+      const x0 = Math.min(xAt(v), xAt(res.base)), x1 = Math.max(xAt(v), xAt(res.base));
+      add("rect", { x: x0, y, width: Math.max(1, x1 - x0), height: rowH - 14, rx: 6, fill });
+    };
+    bar(r.low.total, "rgba(96,165,250,0.70)");
+    bar(r.high.total, "rgba(52,211,153,0.70)");
+    add("text", { x: xL - 14, y: y + 14, fill: "rgba(229,231,235,0.92)", "font-size": 13, "font-weight": 650, "text-anchor": "end" },
+      tx(SENSITIVITY_LABELS[r.param]));
+    add("text", { x: xL - 14, y: y + 29, fill: "rgba(156,163,175,0.95)", "font-size": 11, "text-anchor": "end" },
+      `${sensitivityValueText(r.param, r.low.value)} → ${sensitivityValueText(r.param, r.high.value)}`);
+    const ends = [r.low.total, r.high.total].sort((a,b)=>a-b);
+    add("text", { x: xAt(ends[0]) - 6, y: y + 21, fill: "rgba(156,163,175,0.95)", "font-size": 11, "text-anchor": "end" }, fmtInt(ends[0]));
+    add("text", { x: xAt(ends[1]) + 6, y: y + 21, fill: "rgba(156,163,175,0.95)", "font-size": 11 }, fmtInt(ends[1]));
+  });
+
+  const baseX = xAt(res.base);
+  const line = svgEl("tornadoBase");
+  line.setAttribute("x1", baseX);
+  line.setAttribute("x2", baseX);
+  line.setAttribute("y2", yTop + res.rows.length*rowH);
+  const lbl = svgEl("tornadoBaseLabel");
+  lbl.setAttribute("x", baseX);
+  setText(lbl, tx("base {n}", { n: fmtInt(res.base) }));
+
+  renderDataTable("viz15Table", [tx("Input"), tx("Low value"), tx("Total at low"), tx("High value"), tx("Total at high")],
+    res.rows.map(r => [tx(SENSITIVITY_LABELS[r.param]), sensitivityValueText(r.param, r.low.value), fmtInt(r.low.total),
+      sensitivityValueText(r.param, r.high.value), fmtInt(r.high.total)]));
+}
+
+const sensPctEl = document.getElementById("sensPct");
+if(sensPctEl) sensPctEl.addEventListener("input", ()=>{
+  state.sensitivity.pct = parseInt(sensPctEl.value,10) / 100;
+  renderSensitivity();
+  saveStateDebounced();
+});
+const sensShiftEl = document.getElementById("sensShift");
+if(sensShiftEl) sensShiftEl.addEventListener("input", ()=>{
+  state.sensitivity.shift = parseInt(sensShiftEl.value,10);
+  renderSensitivity();
+  saveStateDebounced();
+});
+
+/* ---------------------------
+   Rendering: Slide enter hook
+   ---------------------------
+   Navigation itself (showSlide) is at the end of the file. */
 function onEnterSlide(n){
   if(n === 1) animateIntro();
-  if(n === 3) renderCohorts();
+  if(n === 3){
+    renderCohorts();
+    renderDataSource(null);
+  }
   if(n === 4) renderRiskDot();
-  if(n === 5) renderRiskCurve5(true);
+  if(n === 5){
+    renderRiskCurve5(true);
+    renderFit5();
+  }
   if(n === 6){
     renderComplaints6();
     renderRiskCurve6();
@@ -214,7 +1443,12 @@ function onEnterSlide(n){
   if(n === 8) renderCM();
   if(n === 9) renderEOL();
   if(n === 10) renderSpike();
-  if(n === 11) renderOutputExample();
+  if(n === 11){
+    renderOutputExample();
+    renderScenarioTable();
+  }
+  if(n === 14) renderBacktest();
+  if(n === 15) renderSensitivity();
 }
 
 // Slide 1 animation
@@ -250,13 +1484,22 @@ if(cohortMove) cohortMove.addEventListener("input", ()=>{
   document.getElementById("cohortMoveLabel").textContent = state.moveMonths;
   renderCohorts();
 });
+const COHORT_CHART_HISTORY = 60;
+// Oldest cohort month the charts draw (and a CM can start at): the oldest
+// history month, but no more than COHORT_CHART_HISTORY months back
+function oldestChartMonth(){
+  const oldest = state.cohorts.reduce((m, c) => Math.min(m, c.monthIndex), 0);
+  return Math.max(oldest, 1 - COHORT_CHART_HISTORY);
+}
 function renderCohorts(){
   const g = svgEl("cohortBars");
   g.innerHTML = "";
 
-  // Fixed x-axis domain for Page 3 (past -> future)
-  const minIdx = -17;
-  const maxIdx = 24;
+  // x-axis domain for Page 3 (past -> future)
+  const oldest = state.cohorts.reduce((m, c) => Math.min(m, c.monthIndex), 0);
+  const minIdx = oldestChartMonth();
+  // to the end of the production plan, and at least as far as NOW can move
+  const maxIdx = Math.max(forecastHorizon(), 24);
 
   const xL = 90, xR = 810, yBase = 420, maxH = 240;
 
@@ -264,27 +1507,10 @@ function renderCohorts(){
   const bins = [];
   for(let idx=minIdx; idx<=maxIdx; idx++) bins.push(idx);
 
-  // Existing cohorts map (past production)
-  const existingMap = new Map(state.cohorts.map(c => [c.monthIndex, c.machines]));
-
-  // Simple production projection for future months:
-  // average of last 6 existing months (monthIndex -5..0), with small deterministic variation
-  const last6 = state.cohorts.slice(-6).map(c => c.machines);
-  const avg = last6.length ? (last6.reduce((a,b)=>a+b,0) / last6.length) : 0;
-
-  function projectedMachines(idx){
-    // idx > 0: future cohort month
-    // Keep deterministic but slightly varied so future bars aren't all identical
-    const noise = Math.sin(idx * 0.55) * 12; // deterministic
-    return Math.max(0, Math.round(avg + noise));
-  }
-
-  // Machines per bin (past from data, future from projection)
-  const machinesPerBin = bins.map(idx => {
-    if(existingMap.has(idx)) return existingMap.get(idx);
-    if(idx > 0) return projectedMachines(idx);
-    return 0;
-  });
+  // Past production from data, future from the production plan (same as the forecast)
+  const cohortMap = new Map(buildCohortsForForecast(true, state.eolOn, state.eolRel).map(c => [c.monthIndex, c.machines]));
+  const manualIdx = new Set(state.plan.manual.map((m, i) => m === null ? null : i+1).filter(i => i !== null));
+  const machinesPerBin = bins.map(idx => cohortMap.get(idx) ?? 0);
 
   const maxM = Math.max(...machinesPerBin, 1);
   const w = (xR - xL) / bins.length;
@@ -325,7 +1551,8 @@ function renderCohorts(){
     const age = nowIdx - idx; // months since this cohort's month, relative to NOW
 
     const fill = colorForAge(age);
-    const stroke = "rgba(255,255,255,0.12)";
+    // user-entered plan months get a brighter outline
+    const stroke = manualIdx.has(idx) ? "rgba(251,191,36,0.85)" : "rgba(255,255,255,0.12)";
 
     const rect = document.createElementNS("http://www.w3.org/2000/svg","rect");
     rect.setAttribute("x", x);
@@ -345,11 +1572,22 @@ function renderCohorts(){
       t.setAttribute("y", 412);
       t.setAttribute("fill","rgba(156,163,175,0.9)");
       t.setAttribute("font-size","10");
-      t.textContent = `M${idx}`;
+      t.textContent = monthIndexToString(idx);
       g.appendChild(t);
     }
   });
 
+  if(minIdx > oldest){
+    const note = document.createElementNS("http://www.w3.org/2000/svg","text");
+    note.setAttribute("x", 450);
+    note.setAttribute("y", 448);
+    note.setAttribute("text-anchor", "middle");
+    note.setAttribute("fill","rgba(156,163,175,0.95)");
+    note.setAttribute("font-size","12");
+    note.textContent = tx("Only the last {n} months of history are drawn.", { n: COHORT_CHART_HISTORY });
+    g.appendChild(note);
+  }
+
   // Move NOW line (requires the Page 3 SVG to include nowLine3 / nowLabel3 as in prior patch)
   const tNow = (nowIdx - minIdx) / (maxIdx - minIdx);
   const nowX = xL + clamp(tNow, 0, 1) * (xR - xL);
@@ -360,7 +1598,178 @@ function renderCohorts(){
     nowLine.setAttribute("x1", nowX);
     nowLine.setAttribute("x2", nowX);
     nowLabel.setAttribute("x", clamp(nowX+8, 90, 790));
+    nowLabel.textContent = tx("NOW {month}", { month: monthIndexToString(nowIdx) });
+  }
+
+  // cohorts after NOW are not drawn yet; the table lists them as planned
+  renderDataTable("viz3Table", [tx("Month"), tx("Machines"), tx("Status"), tx("Age at NOW (months)")],
+    bins.map((idx, i) => idx <= nowIdx
+      ? [monthIndexToString(idx), fmtInt(machinesPerBin[i]), tx("Built"), String(nowIdx - idx)]
+      : [monthIndexToString(idx), fmtInt(machinesPerBin[i]), tx("Planned"), "—"]));
+}
+
+const nowMonthEl = document.getElementById("nowMonth");
+if(nowMonthEl) nowMonthEl.addEventListener("change", ()=>{
+  if(parseMonthKey(nowMonthEl.value) !== null && !state.dataSource) state.nowMonth = monthKeyToString(parseMonthKey(nowMonthEl.value));
+  renderDataSource(null);
+  renderCohorts();
+  saveStateDebounced();
+});
+
+// Production plan (page 3). Lists are comma separated; an empty manual
+// entry keeps the formula for that month.
+function parseNumberList(text, allowBlank){
+  const t = String(text || "").trim();
+  if(!t) return { values: [], bad: [] };
+  const values = [], bad = [];
+  t.split(",").map(x => x.trim()).forEach(x => {
+    if(x === "" && allowBlank) values.push(null);
+    else if(x !== "" && Number.isFinite(Number(x))) values.push(Number(x));
+    else bad.push(x || tx("(empty)"));
+  });
+  return { values, bad };
+}
+function renderPlanControls(errors){
+  const pl = state.plan;
+  const set = (id, v) => {
+    const el = document.getElementById(id);
+    if(el && document.activeElement !== el) el.value = v;
+  };
+  set("planLevel", pl.level === null ? "" : String(pl.level));
+  set("planTrend", String(pl.trend));
+  set("planSeasonal", pl.seasonal ? pl.seasonal.join(", ") : "");
+  set("planRamp", String(pl.rampDown));
+  set("planHorizon", String(pl.horizon));
+  set("planManual", pl.manual.map(m => m === null ? "" : m).join(", "));
+  const avg = document.getElementById("planAverage");
+  if(avg){
+    const last6 = state.cohorts.slice(-6).map(c => c.machines);
+    avg.textContent = fmtInt(last6.reduce((a,b)=>a+b,0) / Math.max(1,last6.length));
+  }
+  const errEl = document.getElementById("planErrors");
+  if(errEl){
+    errEl.textContent = (errors && errors.length) ? errors.join(" ") : "";
+    errEl.hidden = !(errors && errors.length);
+  }
+}
+function readPlanControls(){
+  const val = (id) => (document.getElementById(id) || {}).value ?? "";
+  const errors = [];
+  const seasonal = parseNumberList(val("planSeasonal"), false);
+  const manual = parseNumberList(val("planManual"), true);
+  if(seasonal.bad.length) errors.push(tx("Seasonal: not a number: {values}.", { values: seasonal.bad.join(", ") }));
+  if(manual.bad.length) errors.push(tx("Monthly plan: not a number: {values}.", { values: manual.bad.join(", ") }));
+  const res = normalizePlan({
+    level: val("planLevel").trim() === "" ? null : Number(val("planLevel")),
+    trend: Number(val("planTrend") || 0),
+    seasonal: seasonal.values.length ? seasonal.values : null,
+    rampDown: Number(val("planRamp") || 0),
+    manual: manual.values,
+    horizon: Number(val("planHorizon") || DEFAULT_PLAN.horizon)
+  });
+  res.errors.forEach(msg => errors.push(tx("Plan: {msg}.", { msg })));
+  return { errors, plan: res.plan };
+}
+["planLevel", "planTrend", "planSeasonal", "planRamp", "planHorizon", "planManual"].forEach(id => {
+  const el = document.getElementById(id);
+  if(!el) return;
+  el.addEventListener("change", ()=>{
+    const res = readPlanControls();
+    // keep the last valid plan until every field checks out
+    if(!res.errors.length){
+      state.plan = res.plan;
+      // EOL stays within the plan (page 9)
+      state.eolRel = Math.min(state.eolRel, forecastHorizon());
+    }
+    renderPlanControls(res.errors);
+    renderCohorts();
+    saveStateDebounced();
+  });
+});
+
+// History data: file picker, drag & drop onto the chart, back to toy data
+function dataSourceText(){
+  const src = state.dataSource;
+  return src ? `${src.name} (${src.firstMonth} → ${src.lastMonth})` : tx("Toy data");
+}
+function renderDataSource(errors){
+  const lbl = document.getElementById("dataSourceLabel");
+  if(lbl) lbl.textContent = dataSourceText();
+  renderPlanControls();   // the plan's default level follows the data
+  // with imported data, "now" is pinned to the file's last month
+  const nowEl = document.getElementById("nowMonth");
+  if(nowEl){
+    nowEl.value = state.nowMonth;
+    nowEl.disabled = !!state.dataSource;
+  }
+  const box = document.getElementById("dataErrors");
+  if(!box) return;
+  box.innerHTML = "";
+  if(!errors || !errors.length){
+    box.hidden = true;
+    return;
   }
+  box.hidden = false;
+  const head = document.createElement("b");
+  head.textContent = tx("Could not load the file:");
+  box.appendChild(head);
+  const ul = document.createElement("ul");
+  ul.className = "list";
+  const maxShown = 8;
+  errors.slice(0, maxShown).forEach(msg=>{
+    const li = document.createElement("li");
+    li.textContent = msg;
+    ul.appendChild(li);
+  });
+  if(errors.length > maxShown){
+    const li = document.createElement("li");
+    li.textContent = tx("… and {n} more", { n: errors.length - maxShown });
+    ul.appendChild(li);
+  }
+  box.appendChild(ul);
+}
+
+function loadHistoryFile(file){
+  if(!file) return;
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    const res = importHistoryCsv(String(reader.result), file.name);
+    renderDataSource(res.errors);
+    if(res.ok){
+      renderCohorts();
+      saveStateDebounced();
+    }
+  };
+  reader.onerror = ()=> renderDataSource([tx("Could not read {name}.", { name: file.name })]);
+  reader.readAsText(file);
+}
+
+const dataFileEl = document.getElementById("dataFile");
+if(dataFileEl) dataFileEl.addEventListener("change", ()=>{
+  loadHistoryFile(dataFileEl.files && dataFileEl.files[0]);
+  dataFileEl.value = "";
+});
+
+const btnToyData = document.getElementById("btnToyData");
+if(btnToyData) btnToyData.addEventListener("click", ()=>{
+  initToyData();
+  renderDataSource(null);
+  renderCohorts();
+  saveStateDebounced();
+});
+
+const dataDropZone = document.getElementById("dataDropZone");
+if(dataDropZone){
+  dataDropZone.addEventListener("dragover", (e)=>{
+    e.preventDefault();
+    dataDropZone.classList.add("dropping");
+  });
+  dataDropZone.addEventListener("dragleave", ()=> dataDropZone.classList.remove("dropping"));
+  dataDropZone.addEventListener("drop", (e)=>{
+    e.preventDefault();
+    dataDropZone.classList.remove("dropping");
+    loadHistoryFile(e.dataTransfer && e.dataTransfer.files[0]);
+  });
 }
 
 
@@ -379,7 +1788,7 @@ function renderRiskDot(){
   const riskPath = svgEl("riskPath");
   if(!agePick || !riskPath) return;
   const alpha = state.alpha, beta = state.beta;
-  const pts = riskCurvePoints(alpha,beta,60,61);
+  const pts = riskCurvePoints(alpha,beta,60,61,state);
 
   const x0=90, x1=810, y0=420, y1=160;
   const path = pts.map((p,i)=>{
@@ -408,56 +1817,154 @@ function renderRiskDot(){
   label.setAttribute("x", lx+12);
   label.setAttribute("y", ly+20);
   label.innerHTML = "";
-  label.textContent = `Age ${age} mo → risk ${fmt(p.raw*100,3)}%`;
+  label.textContent = tx("Age {age} mo → risk {risk}%", { age, risk: fmt(p.raw*100,3) });
   // second line
   const t2 = document.createElementNS("http://www.w3.org/2000/svg","tspan");
   t2.setAttribute("x", lx+12);
   t2.setAttribute("dy", 16);
   t2.setAttribute("fill","rgba(156,163,175,0.95)");
-  t2.textContent = "(toy example)";
+  t2.textContent = tx("(toy example)");
   label.appendChild(t2);
+  announce(label, label.firstChild.textContent);
+
+  renderDataTable("viz4Table", riskTableHead(), riskTableRows(pts));
+}
+
+// Pages 4 and 5: the risk curve every 6 months of age
+function riskTableHead(){
+  return [tx("Age (months)"), tx("Risk per month (%)")];
+}
+function riskTableRows(pts){
+  return pts.filter(p => p.age % 6 === 0).map(p => [String(p.age), fmt(p.raw*100,3)]);
 }
 
 /* ---------------------------
    Slide 5: live curve with alpha/beta sliders
    --------------------------- */
-const alphaEl = document.getElementById("alpha");
-const betaEl = document.getElementById("beta");
-if(alphaEl) alphaEl.addEventListener("input", ()=>{
-  state.alpha = parseInt(alphaEl.value,10);
-  document.getElementById("alphaLabel").textContent = state.alpha;
+// Page 6 repeats the α/β sliders; its copies carry the id suffix "6"
+const CURVE_SLIDER_SUFFIXES = ["", "6"];
+function curveSliders(){
+  return CURVE_SLIDER_SUFFIXES.map(sfx => ({
+    alpha: document.getElementById("alpha" + sfx),
+    alphaLabel: document.getElementById("alphaLabel" + sfx),
+    beta: document.getElementById("beta" + sfx),
+    betaLabel: document.getElementById("betaLabel" + sfx)
+  }));
+}
+// Positions and badges from state; the beta range follows the family
+function renderCurveSliders(){
+  const b = DIST_CONTROLS[state.dist].beta;
+  curveSliders().forEach(s => {
+    if(s.alpha) s.alpha.value = String(state.alpha);
+    if(s.alphaLabel) s.alphaLabel.textContent = state.alpha;
+    if(s.beta && b){
+      s.beta.min = String(b.min);
+      s.beta.max = String(b.max);
+      s.beta.step = String(b.step);
+      s.beta.value = String(state.beta);
+    }
+    if(s.betaLabel) s.betaLabel.textContent = fmtBeta(state.beta, state.dist);
+  });
+}
+function onCurveSliderInput(){
+  renderCurveSliders();
   renderRiskCurve5(false);
+  renderFit5();
   renderComplaints6();
   renderRiskCurve6();
   // update slide4 too if user goes back
   renderRiskDot();
+}
+curveSliders().forEach(s => {
+  if(s.alpha) s.alpha.addEventListener("input", ()=>{
+    state.alpha = parseInt(s.alpha.value,10);
+    onCurveSliderInput();
+  });
+  if(s.beta) s.beta.addEventListener("input", ()=>{
+    state.beta = parseFloat(s.beta.value);
+    onCurveSliderInput();
+  });
 });
-if(betaEl) betaEl.addEventListener("input", ()=>{
-  state.beta = parseFloat(betaEl.value);
-  document.getElementById("betaLabel").textContent = state.beta.toFixed(1);
+
+// Distribution picker: relabels the sliders, sets the beta range of the
+// family and shows the infant-mortality sliders for the mixture
+function renderDistControls(){
+  const c = DIST_CONTROLS[state.dist];
+  const put = (id, t) => { const el = document.getElementById(id); if(el) el.textContent = t; };
+  const sel = document.getElementById("distSelect");
+  if(sel){
+    if(!sel.options.length){
+      DISTRIBUTIONS.forEach(d => {
+        const opt = document.createElement("option");
+        opt.value = d;
+        sel.appendChild(opt);
+      });
+    }
+    [...sel.options].forEach(opt => { opt.textContent = tx(DIST_CONTROLS[opt.value].label); });
+    sel.value = state.dist;
+  }
+  put("alphaName", tx(c.alpha));
+  const betaBox = document.getElementById("betaControl");
+  if(betaBox) betaBox.hidden = !c.beta;
+  if(c.beta) put("betaName", tx(c.beta.label));
+  renderCurveSliders();
+  const infantBox = document.getElementById("infantControls");
+  if(infantBox) infantBox.hidden = state.dist !== "mixture";
+  const inf = state.infant;
+  [["infantWeight", Math.round(inf.weight*100), `${Math.round(inf.weight*100)}%`],
+   ["infantAlpha", inf.alpha, String(inf.alpha)],
+   ["infantBeta", inf.beta, Number(inf.beta).toFixed(2)]].forEach(([id, v, text]) => {
+    const el = document.getElementById(id);
+    if(el) el.value = String(v);
+    put(id + "Label", text);
+  });
+}
+function onCurveChanged(){
+  renderDistControls();
   renderRiskCurve5(false);
+  renderFit5();
   renderComplaints6();
   renderRiskCurve6();
   renderRiskDot();
+  renderGroupSelect();
+  saveStateDebounced();
+}
+const distSelectEl = document.getElementById("distSelect");
+if(distSelectEl) distSelectEl.addEventListener("change", ()=>{
+  if(!DIST_CONTROLS[distSelectEl.value]) return;
+  state.dist = distSelectEl.value;
+  // keep beta when it still fits the new family's slider
+  const b = DIST_CONTROLS[state.dist].beta;
+  if(b && (state.beta < b.min || state.beta > b.max)) state.beta = b.start;
+  onCurveChanged();
+});
+["infantWeight", "infantAlpha", "infantBeta"].forEach(id => {
+  const el = document.getElementById(id);
+  if(!el) return;
+  el.addEventListener("input", ()=>{
+    const v = parseFloat(el.value);
+    state.infant = { ...state.infant };
+    if(id === "infantWeight") state.infant.weight = v / 100;
+    else if(id === "infantAlpha") state.infant.alpha = v;
+    else state.infant.beta = v;
+    onCurveChanged();
+  });
 });
 
 const presetTitleEl = document.getElementById("presetTitle");
-function applyPreset({alpha, beta, title}){
+// dist: set by the preset buttons (Weibull values); the fit keeps the family
+function applyPreset({alpha, beta, title, dist}){
+  if(dist) state.dist = dist;
   state.alpha = alpha;
   state.beta = beta;
   state.presetTitle = title;
 
-  if(alphaEl){
-    alphaEl.value = String(alpha);
-    document.getElementById("alphaLabel").textContent = alpha;
-  }
-  if(betaEl){
-    betaEl.value = String(beta);
-    document.getElementById("betaLabel").textContent = Number(beta).toFixed(1);
-  }
-  if(presetTitleEl) presetTitleEl.textContent = title;
+  renderDistControls();
+  if(presetTitleEl) presetTitleEl.textContent = displayTitle(title);
+  renderGroupSelect();
 
   renderRiskCurve5(false);
+  renderFit5();
   renderComplaints6();
   renderRiskCurve6();
   renderRiskDot();
@@ -469,7 +1976,8 @@ if(presetYoung) presetYoung.addEventListener("click", ()=>{
   applyPreset({
     alpha: 12,
     beta: 1.1,
-    title: "測距(P/NP/Sheet)_機能しない"
+    title: "測距(P/NP/Sheet)_機能しない",
+    dist: "weibull"
   });
 });
 const presetMiddle = document.getElementById("presetMiddle");
@@ -477,7 +1985,8 @@ if(presetMiddle) presetMiddle.addEventListener("click", ()=>{
   applyPreset({
     alpha: 36,
     beta: 2.9,
-    title: "レーザー出力_機能しない"
+    title: "レーザー出力_機能しない",
+    dist: "weibull"
   });
 });
 const presetOld = document.getElementById("presetOld");
@@ -485,7 +1994,8 @@ if(presetOld) presetOld.addEventListener("click", ()=>{
   applyPreset({
     alpha: 58,
     beta: 4.7,
-    title: "内部固視が表示されない"
+    title: "内部固視が表示されない",
+    dist: "weibull"
   });
 });
 
@@ -494,7 +2004,8 @@ function renderRiskCurve5(first){
   const dashed = svgEl("riskPath5b");
   const solid = svgEl("riskPath5");
   if(!dashed || !solid) return;
-  const pts = riskCurvePoints(state.alpha,state.beta,60,61);
+  const pts = riskCurvePoints(state.alpha,state.beta,60,61,state);
+  renderDataTable("viz5Table", riskTableHead(), riskTableRows(pts));
   const x0=90, x1=810, y0=420, y1=160;
   const newPath = pts.map((p,i)=>{
     const x = x0 + (p.age/60)*(x1-x0);
@@ -514,6 +2025,82 @@ function renderRiskCurve5(first){
   prevPath5 = newPath;
 }
 
+// Fit to history: button + live goodness of fit for the current curve
+const btnFit = document.getElementById("btnFit");
+if(btnFit) btnFit.addEventListener("click", ()=>{
+  const status = document.getElementById("fitStatus");
+  const fit = fitCurveToHistory();
+  if(!fit){
+    if(status) status.textContent = tx("Not enough history to fit.");
+    return;
+  }
+  applyPreset({ alpha: fit.alpha, beta: fit.beta, title: state.presetTitle });
+  if(status) status.textContent = DIST_CONTROLS[state.dist].beta
+    ? tx("Fitted: α={alpha}, β={beta}", { alpha: fit.alpha, beta: fmtBeta(fit.beta, state.dist) })
+    : tx("Fitted: mean {alpha} months", { alpha: fit.alpha });
+});
+
+function renderFit5(){
+  const bars = svgEl("fitBars5");
+  const line = svgEl("fitLine5");
+  const dots = svgEl("fitDots5");
+  if(!bars || !line || !dots) return;
+
+  const g = fitGoodness(state.alpha, state.beta);
+  setText(document.getElementById("fitLogLik"), g.rows.length ? fmt(g.logLik,2) : "—");
+  setText(svgEl("fitLevel5"), g.rows.length ? tx("level ×{level} (set by calibration)", { level: fmt(g.level,3) }) : "");
+
+  renderDataTable("fitChart5Table", [tx("Month"), tx("Observed"), tx("Fitted")],
+    g.rows.map(r => [monthIndexToString(r.monthIndex), fmtInt(r.observed), fmt(r.fitted,1)]));
+
+  bars.innerHTML = "";
+  dots.innerHTML = "";
+  if(!g.rows.length){
+    line.setAttribute("d", "");
+    return;
+  }
+
+  const xL=30, xR=510, yBase=96, maxH=70;
+  const maxV = Math.max(...g.rows.map(r => Math.max(r.observed, r.fitted)), 0.001);
+  const w = (xR - xL) / g.rows.length;
+
+  const d = g.rows.map((r, i)=>{
+    const x = xL + i*w;
+    const h = (r.observed / maxV) * maxH;
+
+    const rect = document.createElementNS("http://www.w3.org/2000/svg","rect");
+    rect.setAttribute("x", x+1);
+    rect.setAttribute("y", yBase - h);
+    rect.setAttribute("width", Math.max(1, w-2));
+    rect.setAttribute("height", h);
+    rect.setAttribute("rx", 3);
+    rect.setAttribute("fill", "rgba(96,165,250,0.45)");
+    bars.appendChild(rect);
+
+    const cx = x + w/2;
+    const cy = yBase - (r.fitted / maxV) * maxH;
+    const c = document.createElementNS("http://www.w3.org/2000/svg","circle");
+    c.setAttribute("cx", cx);
+    c.setAttribute("cy", cy);
+    c.setAttribute("r", 2.5);
+    c.setAttribute("fill", "rgba(52,211,153,0.95)");
+    dots.appendChild(c);
+
+    if(i === 0 || i === g.rows.length-1){
+      const t = document.createElementNS("http://www.w3.org/2000/svg","text");
+      t.setAttribute("x", cx);
+      t.setAttribute("y", 112);
+      t.setAttribute("fill","rgba(156,163,175,0.9)");
+      t.setAttribute("font-size","10");
+      t.setAttribute("text-anchor","middle");
+      t.textContent = monthIndexToString(r.monthIndex);
+      bars.appendChild(t);
+    }
+    return (i===0?`M${cx},${cy}`:`L${cx},${cy}`);
+  }).join(" ");
+  line.setAttribute("d", d);
+}
+
 /* ---------------------------
    Slide 6: complaints + risk curve
    --------------------------- */
@@ -524,14 +2111,11 @@ function renderComplaints6(){
   const offsets = Array.from({length: 24}, (_, i) => i);
   const baselineVals = offsets.map(o => expectedComplaintsForOffset(o, {
     includeFutureCohorts: true,
-    cmStartIdx: state.cmStartIdx,
-    cmEff: 1.0,
+    cms: [],
     scale: state.scale
   }));
   const vals = offsets.map(o => expectedComplaintsForOffset(o, {
     includeFutureCohorts:true,
-    cmStartIdx: state.cmStartIdx,
-    cmEff: state.cmEff,
     scale: state.scale
   }));
   const maxV = Math.max(...baselineVals, 0.001);
@@ -560,13 +2144,19 @@ function renderComplaints6(){
   });
 
   const label = svgEl("complaintsLabel6");
-  if(label) label.textContent = `Next month: ${fmt(vals[0],1)}`;
+  if(label){
+    label.textContent = tx("Next month: {n}", { n: fmt(vals[0],1) });
+    announce(label);
+  }
+
+  renderDataTable("viz6Table", [tx("Month"), tx("Expected"), tx("Without CM")],
+    offsets.map((o, i) => [monthIndexToString(o), fmt(vals[i],1), fmt(baselineVals[i],1)]));
 }
 
 function renderRiskCurve6(){
   const pathEl = svgEl("riskPath6");
   if(!pathEl) return;
-  const pts = riskCurvePoints(state.alpha,state.beta,60,61);
+  const pts = riskCurvePoints(state.alpha,state.beta,60,61,state);
   const x0=90, x1=810, y0=450, y1=370;
   const path = pts.map((p,i)=>{
     const x = x0 + (p.age/60)*(x1-x0);
@@ -579,83 +2169,217 @@ function renderRiskCurve6(){
 /* ---------------------------
    Slide 7: calibration bars
    --------------------------- */
-let page7Calibrated = false;
-const page7AfterScale = 0.5;
+function calibWindowMonths(){
+  return state.complaints.filter(c => c.monthIndex > -state.calibWindow && c.monthIndex <= 0);
+}
 
+function calibrationText(){
+  const c = state.calibInfo;
+  if(!c) return tx("Scale factor: {scale}", { scale: fmt(state.scale,2) });
+  const ex = !c.excluded ? "" : tx(c.excluded === 1 ? ", 1 spike month excluded" : ", {n} spike months excluded", { n: c.excluded });
+  return tx("Scale factor: {scale} (last {n} months{excluded})", { scale: fmt(state.scale,2), n: c.window, excluded: ex });
+}
 function updateCalibrationLabel(){
   const label = document.getElementById("calibLabel");
-  if(!label) return;
-  if(page7Calibrated){
-    label.textContent = `Scale factor: ${(1 / page7AfterScale).toFixed(2)}`;
-  }else{
-    label.textContent = `Scale factor: ${page7AfterScale.toFixed(2)} (after)`;
-  }
+  if(label) label.textContent = calibrationText();
 }
 
+const calibWindowEl = document.getElementById("calibWindow");
+if(calibWindowEl) calibWindowEl.addEventListener("input", ()=>{
+  state.calibWindow = parseInt(calibWindowEl.value,10);
+  document.getElementById("calibWindowLabel").textContent = state.calibWindow;
+  renderCalibrationBars(false);
+});
+
 const __btnCalibrate = document.getElementById("btnCalibrate");
 if(__btnCalibrate) __btnCalibrate.addEventListener("click", ()=>{
-  page7Calibrated = !page7Calibrated;
-  __btnCalibrate.textContent = page7Calibrated ? "Reset" : "Calibrate";
-  updateCalibrationLabel();
+  const res = calibrateScale(state.calibWindow);
+  if(res){
+    state.scale = res.scale;
+    state.calibInfo = { window: res.window, excluded: res.excluded };
+  }
+  renderCalibrationBars(true);
+});
+const __btnResetScale = document.getElementById("btnResetScale");
+if(__btnResetScale) __btnResetScale.addEventListener("click", ()=>{
+  state.scale = 1.0;
+  state.calibInfo = null;
   renderCalibrationBars(true);
 });
 
+// Bars = observed history in the window; dashed = model at scale 1; solid = model at state.scale
 function renderCalibrationBars(animate){
   const bars = svgEl("calibrationBars7");
   if(!bars) return;
-  const btn = document.getElementById("btnCalibrate");
-  if(btn) btn.textContent = page7Calibrated ? "Reset" : "Calibrate";
 
-  const offsets = Array.from({length: 24}, (_, i) => i);
-  const actualVals = offsets.map(o => expectedComplaintsForOffset(o, {
-    includeFutureCohorts:true,
-    cmStartIdx: state.cmStartIdx,
-    cmEff: state.cmEff,
-    scale: state.scale
-  }));
-  const beforeVals = actualVals.slice(0, 12);
-  const afterVals = actualVals.slice(12).map(v => page7Calibrated ? v : v * page7AfterScale);
-  const displayVals = beforeVals.concat(afterVals);
+  const months = calibWindowMonths();
+  const raw = months.map(c => expectedComplaintsForOffset(c.monthIndex, { includeFutureCohorts:false, scale: 1.0 }));
+  const scaled = raw.map(v => v * state.scale);
 
-  const maxV = Math.max(...actualVals, 0.001);
+  const maxV = Math.max(...months.map(c => c.count), ...raw, ...scaled, 0.001);
   const xL=90, xR=810, yBase=300, maxH=150;
-  const w = (xR - xL) / offsets.length;
+  const w = (xR - xL) / Math.max(1, months.length);
 
-  if(bars.children.length !== offsets.length){
-    bars.innerHTML = "";
-    offsets.forEach((_, i)=>{
-      const rect = document.createElementNS("http://www.w3.org/2000/svg","rect");
-      const x = xL + i*w + 2;
-      rect.setAttribute("x", x);
-      rect.setAttribute("width", Math.max(2, w-4));
-      rect.setAttribute("rx", 6);
-      rect.setAttribute("stroke", "rgba(255,255,255,0.12)");
-      rect.setAttribute("stroke-width", "1");
-      rect.setAttribute("fill", i < 12 ? "rgba(96,165,250,0.35)" : "url(#g7)");
-      bars.appendChild(rect);
-    });
-  }
-
-  Array.from(bars.children).forEach((rect, i)=>{
-    const v = displayVals[i];
-    const h = (v / maxV) * maxH;
-    const y = yBase - h;
-    rect.setAttribute("y", y);
+  bars.innerHTML = "";
+  months.forEach((c, i)=>{
+    const excluded = isSpikeExcludedMonth(c.monthIndex);
+    const h = (c.count / maxV) * maxH;
+    const rect = document.createElementNS("http://www.w3.org/2000/svg","rect");
+    rect.setAttribute("x", xL + i*w + 2);
+    rect.setAttribute("y", yBase - h);
+    rect.setAttribute("width", Math.max(2, w-4));
     rect.setAttribute("height", h);
-    rect.style.transition = animate ? "y 300ms ease, height 300ms ease" : "none";
+    rect.setAttribute("rx", 6);
+    rect.setAttribute("fill", excluded ? "rgba(251,113,133,0.12)" : "rgba(96,165,250,0.35)");
+    rect.setAttribute("stroke", excluded ? "rgba(251,113,133,0.85)" : "rgba(255,255,255,0.12)");
+    rect.setAttribute("stroke-width", "1");
+    if(excluded) rect.setAttribute("stroke-dasharray", "4 4");
+    bars.appendChild(rect);
+
+    const t = document.createElementNS("http://www.w3.org/2000/svg","text");
+    t.setAttribute("x", xL + i*w + w/2);
+    t.setAttribute("y", 316);
+    t.setAttribute("fill","rgba(156,163,175,0.9)");
+    t.setAttribute("font-size","10");
+    t.setAttribute("text-anchor","middle");
+    t.textContent = monthIndexToString(c.monthIndex);
+    if(months.length > 12 && (months.length - 1 - i) % 2) t.textContent = "";
+    bars.appendChild(t);
   });
 
+  const toPath = (vals) => vals.map((v,i)=>{
+    const x = xL + i*w + w/2;
+    const y = yBase - (v/maxV)*maxH;
+    return (i===0?`M${x},${y}`:`L${x},${y}`);
+  }).join(" ");
+  const before = svgEl("calibBefore7");
+  const after = svgEl("calibAfter7");
+  if(before) before.setAttribute("d", toPath(raw));
+  if(after){
+    after.style.transition = animate ? "d 300ms ease" : "none";
+    after.setAttribute("d", toPath(scaled));
+  }
+
+  renderDataTable("viz7Table", [tx("Month"), tx("Observed"), tx("Model (scale 1)"), tx("Model (scaled)"), tx("Spike excluded")],
+    months.map((c, i) => [monthIndexToString(c.monthIndex), fmtInt(c.count), fmt(raw[i],1), fmt(scaled[i],1), tx(isSpikeExcludedMonth(c.monthIndex) ? "Yes" : "No")]));
+
   updateCalibrationLabel();
 }
 
 /* ---------------------------
    Slide 8: countermeasure (drag line + forecast)
    --------------------------- */
+function selectedCm(){
+  return state.cms[clamp(state.cmSelected, 0, state.cms.length-1)] || null;
+}
+function cmLabel(cm, i){
+  const kind = tx(cm.type === "retrofit" ? "Retrofit" : "Cut-in");
+  const phase = cm.phaseIn > 0 ? tx(", phase-in {n} mo", { n: cm.phaseIn }) : "";
+  return tx("#{n} {kind} from {month}, {eff}% remaining{phase}", { n: i+1, kind, month: monthIndexToString(cm.start), eff: Math.round(cm.eff*100), phase });
+}
+function editSelectedCm(patch){
+  const cm = selectedCm();
+  if(!cm) return;
+  Object.assign(cm, patch);
+  renderCM();
+  saveStateDebounced();
+}
+
+// Controls of the selected CM + the CM picker
+function renderCMControls(){
+  const cm = selectedCm();
+  const sel = document.getElementById("cmSelect");
+  if(sel){
+    sel.innerHTML = "";
+    state.cms.forEach((c, i)=>{
+      const opt = document.createElement("option");
+      opt.value = String(i);
+      opt.textContent = cmLabel(c, i);
+      sel.appendChild(opt);
+    });
+    sel.value = String(state.cmSelected);
+    sel.disabled = !cm;
+  }
+  const count = document.getElementById("cmCountLabel");
+  if(count) count.textContent = `${state.cms.length}`;
+  const removeBtn = document.getElementById("btnRemoveCm");
+  if(removeBtn) removeBtn.disabled = !cm;
+
+  ["cmType","cmEff","cmPhase","cmStart","cmStartMonth"].forEach(id=>{
+    const el = document.getElementById(id);
+    if(el) el.disabled = !cm;
+  });
+  if(!cm) return;
+
+  const typeEl = document.getElementById("cmType");
+  if(typeEl) typeEl.value = cm.type;
+  const cmEffEl = document.getElementById("cmEff");
+  if(cmEffEl) cmEffEl.value = String(Math.round(cm.eff*100));
+  const effLbl = document.getElementById("cmEffLabel");
+  if(effLbl) effLbl.textContent = `${Math.round(cm.eff*100)}%`;
+  const phaseEl = document.getElementById("cmPhase");
+  if(phaseEl) phaseEl.value = String(cm.phaseIn);
+  const phaseLbl = document.getElementById("cmPhaseLabel");
+  if(phaseLbl) phaseLbl.textContent = cm.phaseIn;
+  const startEl = document.getElementById("cmStart");
+  if(startEl){
+    startEl.min = String(oldestChartMonth());
+    startEl.value = String(cm.start);
+  }
+  const startLbl = document.getElementById("cmStartLabel");
+  if(startLbl) startLbl.textContent = monthIndexToString(cm.start);
+  const startMonthEl = document.getElementById("cmStartMonth");
+  if(startMonthEl){
+    startMonthEl.min = monthIndexToString(oldestChartMonth());
+    startMonthEl.max = monthIndexToString(12);
+    if(document.activeElement !== startMonthEl) startMonthEl.value = monthIndexToString(cm.start);
+  }
+}
+
 const cmEffEl = document.getElementById("cmEff");
 if(cmEffEl) cmEffEl.addEventListener("input", ()=>{
-  state.cmEff = parseInt(cmEffEl.value,10)/100;
-  document.getElementById("cmEffLabel").textContent = `${Math.round(state.cmEff*100)}%`;
+  editSelectedCm({ eff: parseInt(cmEffEl.value,10)/100 });
+});
+const cmTypeEl = document.getElementById("cmType");
+if(cmTypeEl) cmTypeEl.addEventListener("change", ()=>{
+  editSelectedCm({ type: cmTypeEl.value === "retrofit" ? "retrofit" : "cutin" });
+});
+const cmPhaseEl = document.getElementById("cmPhase");
+if(cmPhaseEl) cmPhaseEl.addEventListener("input", ()=>{
+  editSelectedCm({ phaseIn: parseInt(cmPhaseEl.value,10) });
+});
+const cmStartEl = document.getElementById("cmStart");
+if(cmStartEl) cmStartEl.addEventListener("input", ()=>{
+  editSelectedCm({ start: parseInt(cmStartEl.value,10) });
+});
+const cmStartMonthEl = document.getElementById("cmStartMonth");
+if(cmStartMonthEl) cmStartMonthEl.addEventListener("change", ()=>{
+  const idx = monthStringToIndex(cmStartMonthEl.value);
+  if(idx === null) return renderCMControls();
+  editSelectedCm({ start: clamp(idx, oldestChartMonth(), 12) });
+});
+const cmSelectEl = document.getElementById("cmSelect");
+if(cmSelectEl) cmSelectEl.addEventListener("change", ()=>{
+  state.cmSelected = parseInt(cmSelectEl.value,10);
+  renderCM();
+  saveStateDebounced();
+});
+const btnAddCm = document.getElementById("btnAddCm");
+if(btnAddCm) btnAddCm.addEventListener("click", ()=>{
+  const n = state.cms.reduce((m,c)=>Math.max(m, parseInt(String(c.id).slice(2),10) || 0), 0) + 1;
+  const prev = selectedCm();
+  state.cms.push({ id: `cm${n}`, type: "cutin", start: prev ? clamp(prev.start + 3, oldestChartMonth(), 12) : 0, eff: 0.70, phaseIn: 0 });
+  state.cmSelected = state.cms.length - 1;
   renderCM();
+  saveStateDebounced();
+});
+const btnRemoveCm = document.getElementById("btnRemoveCm");
+if(btnRemoveCm) btnRemoveCm.addEventListener("click", ()=>{
+  if(!state.cms.length) return;
+  state.cms.splice(state.cmSelected, 1);
+  state.cmSelected = clamp(state.cmSelected - 1, 0, Math.max(0, state.cms.length-1));
+  renderCM();
+  saveStateDebounced();
 });
 
 const backToPage6 = document.getElementById("backToPage6");
@@ -665,8 +2389,8 @@ function renderCM(){
   const g = svgEl("cmCohorts");
   g.innerHTML = "";
 
-  // Fixed x-axis domain so it is stable and interpretable
-  const minIdx = -17, maxIdx = 12;
+  // x-axis domain: from the oldest cohort (a CM can act on any of them) to +12
+  const minIdx = oldestChartMonth(), maxIdx = 12;
   const xL=90, xR=810, yBase=420, maxH=220;
 
   // Bins for stable layout
@@ -674,15 +2398,17 @@ function renderCM(){
   for(let idx=minIdx; idx<=maxIdx; idx++) bins.push(idx);
 
   // Cohort machines: existing + a small future stub to the right (for context)
-  const all = buildCohortsForForecast(true, false, state.eolRel);
+  const all = buildCohortsForForecast(true, state.eolOn, state.eolRel);
   const map = new Map(all.map(c => [c.monthIndex, c.machines]));
   const maxM = Math.max(...bins.map(i => map.get(i) ?? 0), 1);
   const w = (xR-xL)/bins.length;
 
   bins.forEach((idx, i)=>{
     const machines = map.get(idx) ?? 0;
-    const afterCM = idx > state.cmStartIdx;
-    const effMachines = afterCM ? machines * state.cmEff : machines;
+    // long-run remaining risk: every CM fully phased in
+    const factor = cmFactor(idx, Infinity, state.cms);
+    const afterCM = factor < 1;
+    const effMachines = machines * factor;
 
     const hBase = (machines/maxM)*maxH;
     const hEff  = (effMachines/maxM)*maxH;
@@ -714,38 +2440,74 @@ function renderCM(){
     g.appendChild(eff);
   });
 
-  // CM line position
-  const t = (state.cmStartIdx - minIdx) / (maxIdx - minIdx);
-  const lineX = xL + clamp(t,0,1)*(xR-xL);
+  // CM lines: the selected CM uses the draggable line, the others are drawn as markers
+  const xForIdx = (idx) => xL + clamp((idx - minIdx) / (maxIdx - minIdx),0,1)*(xR-xL);
+  const others = svgEl("cmOtherLines");
+  if(others){
+    others.innerHTML = "";
+    state.cms.forEach((cm, i)=>{
+      if(i === state.cmSelected) return;
+      const x = xForIdx(cm.start);
+      const stroke = cm.type === "retrofit" ? "rgba(167,139,250,0.85)" : "rgba(251,191,36,0.55)";
+      const ln = document.createElementNS("http://www.w3.org/2000/svg","line");
+      ln.setAttribute("x1", x);
+      ln.setAttribute("x2", x);
+      ln.setAttribute("y1", 134);
+      ln.setAttribute("y2", 434);
+      ln.setAttribute("stroke", stroke);
+      ln.setAttribute("stroke-width", "2");
+      ln.setAttribute("stroke-dasharray", "5 5");
+      others.appendChild(ln);
+      const t = document.createElementNS("http://www.w3.org/2000/svg","text");
+      t.setAttribute("x", clamp(x+6, 90, 790));
+      t.setAttribute("y", 146);
+      t.setAttribute("fill", stroke);
+      t.setAttribute("font-size", "11");
+      t.textContent = `#${i+1}`;
+      others.appendChild(t);
+    });
+  }
+
+  const cm = selectedCm();
+  const lineX = cm ? xForIdx(cm.start) : xR;
 
   const cmLine = svgEl("cmLine");
   const cmHandle = svgEl("cmHandle");
-  const cmLabel = svgEl("cmLineLabel");
+  const cmLineLabel = svgEl("cmLineLabel");
   const cmShade = svgEl("cmShade");
 
-  cmShade.setAttribute("x", lineX);
-  cmShade.setAttribute("width", 840 - lineX);
+  // cut-in: later cohorts (right of the line) benefit; retrofit: shipped ones (left)
+  const retrofit = cm && cm.type === "retrofit";
+  cmShade.setAttribute("x", retrofit ? 60 : lineX);
+  cmShade.setAttribute("width", retrofit ? lineX - 60 : 840 - lineX);
   cmShade.setAttribute("y", 114);
   cmShade.setAttribute("height", 330);
+  cmShade.setAttribute("fill", retrofit ? "rgba(167,139,250,0.10)" : "rgba(96,165,250,0.10)");
 
+  [cmLine, cmHandle, cmLineLabel, cmShade].forEach(el => el.setAttribute("visibility", cm ? "visible" : "hidden"));
   cmLine.setAttribute("x1", lineX);
   cmLine.setAttribute("x2", lineX);
   cmHandle.setAttribute("cx", lineX);
   cmHandle.setAttribute("cy", 124);
-  cmLabel.setAttribute("x", clamp(lineX+8, 90, 780));
+  cmLineLabel.setAttribute("x", clamp(lineX+8, 90, 780));
+  cmLineLabel.textContent = cm ? `#${state.cmSelected+1} ${tx(retrofit ? "Retrofit" : "CM start")} ${monthIndexToString(cm.start)}` : "";
+  if(cm) setSliderAria(cmHandle, cm.start, minIdx, maxIdx, monthIndexToString(cm.start));
+
+  renderCMControls();
 
   // Forecast next 12 months (uses CM effect)
   const pts = [];
   for(let k=0;k<24;k++){
     const v = expectedComplaintsForOffset(k, {
       includeFutureCohorts:true,
-      cmStartIdx: state.cmStartIdx,
-      cmEff: state.cmEff,
       scale: state.scale
     });
     pts.push(v);
   }
-  const maxV = Math.max(...pts, 0.001);
+  // bands are re-sampled on release, not on every pointermove
+  const bands = state.cmDragging ? null : activeGroupBands(pts.map((_,k)=>k), { includeFutureCohorts:true });
+  const overlays = shownScenarioSeries(pts.length, state.activeGroup);
+  const maxV = Math.max(...pts, ...(bands ? bands.map(b=>b.p90) : []), ...overlays.flatMap(o => o.values), 0.001);
   const x0=110, x1=820, y0=410, y1=190;
   const d = pts.map((v,i)=>{
     const x = x0 + (i/(pts.length-1))*(x1-x0);
@@ -753,9 +2515,23 @@ function renderCM(){
     return (i===0?`M${x},${y}`:`L${x},${y}`);
   }).join(" ");
   svgEl("cmForecast").setAttribute("d", d);
+  drawBand(svgEl("cmBand"), bands, i => x0 + (i/(pts.length-1))*(x1-x0), v => y0 - (v/maxV)*(y0-y1));
+  drawScenarioOverlays(svgEl("cmScenarios"), overlays, i => x0 + (i/(pts.length-1))*(x1-x0), v => y0 - (v/maxV)*(y0-y1));
 
   const sum24 = pts.reduce((a,b)=>a+b,0);
-  svgEl("cmForecastLabel").textContent = `Expected next 24 months: ${fmt(sum24,1)} (toy)`;
+  const forecastLabel = svgEl("cmForecastLabel");
+  forecastLabel.textContent = tx("Expected next 24 months: {n} (toy)", { n: fmt(sum24,1) }) + bandRangeText(bands);
+  announce(forecastLabel);
+
+  renderDataTable("viz8Table", forecastTableHead(bands), forecastTableRows(pts, bands));
+}
+
+// Pages 8 and 9: the forecast line, with the P10–P90 band when it is on
+function forecastTableHead(bands){
+  return [tx("Month"), tx("Expected")].concat(bands ? ["P10", "P90"] : []);
+}
+function forecastTableRows(pts, bands){
+  return pts.map((v, k) => [monthIndexToString(k), fmt(v,1)].concat(bands ? [fmtInt(bands[k].p10), fmtInt(bands[k].p90)] : []));
 }
 
 // Drag logic for CM line
@@ -773,13 +2549,11 @@ function renderCM(){
     return sp.x;
   }
   function setFromX(x){
-    const minIdx=-17, maxIdx=12;
+    const minIdx=oldestChartMonth(), maxIdx=12;
     const xL=90, xR=810;
     const t = clamp((x - xL)/(xR-xL), 0, 1);
     const idx = Math.round(minIdx + t*(maxIdx-minIdx));
-    state.cmStartIdx = idx;
-    renderCM();
-    saveStateDebounced();
+    editSelectedCm({ start: idx });
   }
 
   function down(evt){
@@ -791,13 +2565,22 @@ function renderCM(){
     setFromX(clientToSvgX(evt));
   }
   function up(){
+    if(!state.cmDragging) return;
     state.cmDragging = false;
+    if(state.stochastic.on) renderCM();
   }
 
   cmLine.addEventListener("pointerdown", down);
   handle.addEventListener("pointerdown", down);
   window.addEventListener("pointermove", move);
   window.addEventListener("pointerup", up);
+
+  handle.addEventListener("keydown", (e)=>{
+    const cm = selectedCm();
+    if(!cm) return;
+    const idx = sliderKeyValue(e, cm.start, oldestChartMonth(), 12);
+    if(idx !== null && idx !== cm.start) editSelectedCm({ start: idx });
+  });
 })();
 
 /* ---------------------------
@@ -806,9 +2589,30 @@ function renderCM(){
 const __btnEolToggle = document.getElementById("btnEolToggle");
 if(__btnEolToggle) __btnEolToggle.addEventListener("click", ()=>{
   state.eolOn = !state.eolOn;
-  document.getElementById("btnEolToggle").textContent = `EOL: ${state.eolOn ? "ON" : "OFF"}`;
+  document.getElementById("btnEolToggle").textContent = tx(state.eolOn ? "EOL: ON" : "EOL: OFF");
+  renderEOL();
+  renderOutputExample();
+});
+function renderEolMonth(){
+  const eolLabel = document.getElementById("eolLabel");
+  if(eolLabel) eolLabel.textContent = tx("{month} (+{n} months)", { month: monthIndexToString(state.eolRel), n: state.eolRel });
+  const eolMonthEl = document.getElementById("eolMonth");
+  if(eolMonthEl){
+    eolMonthEl.min = monthIndexToString(EOL_REL_MIN);
+    eolMonthEl.max = monthIndexToString(forecastHorizon());
+    if(document.activeElement !== eolMonthEl) eolMonthEl.value = monthIndexToString(state.eolRel);
+  }
+}
+const eolMonthEl = document.getElementById("eolMonth");
+if(eolMonthEl) eolMonthEl.addEventListener("change", ()=>{
+  const idx = monthStringToIndex(eolMonthEl.value);
+  if(idx === null) return renderEolMonth();
+  state.eolRel = clamp(idx, EOL_REL_MIN, forecastHorizon());
+  state.eolOn = true;
+  document.getElementById("btnEolToggle").textContent = tx("EOL: ON");
   renderEOL();
   renderOutputExample();
+  saveStateDebounced();
 });
 const backToPage6From9 = document.getElementById("backToPage6From9");
 if(backToPage6From9) backToPage6From9.addEventListener("click", ()=> showSlide(6));
@@ -831,15 +2635,17 @@ if(backToPage6From9) backToPage6From9.addEventListener("click", ()=> showSlide(6
   }
 
   function setFromX(x){
-    const minIdx=-17, maxIdx=30;
+    const minIdx=-17, maxIdx=forecastHorizon();
     const xL=90, xR=810;
     const t = clamp((x - xL)/(xR-xL), 0, 1);
-    const idx = Math.round(minIdx + t*(maxIdx-minIdx));
-    state.eolRel = clamp(idx, 3, 30);
+    setEol(Math.round(minIdx + t*(maxIdx-minIdx)));
+  }
+  function setEol(idx){
+    state.eolRel = clamp(idx, EOL_REL_MIN, forecastHorizon());
     if(!state.eolOn){
       state.eolOn = true;
       const btn = document.getElementById("btnEolToggle");
-      if(btn) btn.textContent = "EOL: ON";
+      if(btn) btn.textContent = tx("EOL: ON");
     }
     renderEOL();
     renderOutputExample();
@@ -866,21 +2672,27 @@ if(backToPage6From9) backToPage6From9.addEventListener("click", ()=> showSlide(6
   eolLabel.addEventListener("pointerdown", down);
   window.addEventListener("pointermove", move);
   window.addEventListener("pointerup", up);
+
+  // with EOL off the handle is hidden; any key turns it on where it was
+  eolHandle.addEventListener("keydown", (e)=>{
+    const idx = sliderKeyValue(e, state.eolRel, EOL_REL_MIN, forecastHorizon());
+    if(idx !== null && (idx !== state.eolRel || !state.eolOn)) setEol(idx);
+  });
 })();
 
 function renderEOL(){
   const g = svgEl("eolCohorts");
   g.innerHTML = "";
 
-  const minIdx=-17, maxIdx=30;
+  const minIdx=-17, maxIdx=forecastHorizon();
   const xL=90, xR=810, yBase=420, maxH=220;
 
   // Fixed bins for stable x-axis
   const bins = [];
   for(let idx=minIdx; idx<=maxIdx; idx++) bins.push(idx);
 
-  // Base: existing production + future average production
-  const baseCohorts = buildCohortsForForecast(true, false, state.eolRel);
+  // Base: existing production + the production plan (ramp-down and stop at EOL)
+  const baseCohorts = buildCohortsForForecast(true, state.eolOn, state.eolRel);
   const baseMap = new Map(baseCohorts.map(c => [c.monthIndex, c.machines]));
 
   // Apply EOL by zeroing machines after eolRel (do not remove bins)
@@ -934,7 +2746,10 @@ function renderEOL(){
     eolHandle.setAttribute("cx", lineX);
     eolHandle.setAttribute("cy", 124);
     eolLbl.setAttribute("x", clamp(lineX+8, 90, 780));
+    eolLbl.textContent = `EOL ${monthIndexToString(state.eolRel)}`;
+    setSliderAria(eolHandle, state.eolRel, EOL_REL_MIN, forecastHorizon(), monthIndexToString(state.eolRel));
   }else{
+    setSliderAria(eolHandle, state.eolRel, EOL_REL_MIN, forecastHorizon(), tx("EOL off"));
     eolLine.setAttribute("opacity","0");
     eolHandle.setAttribute("opacity","0");
     eolLbl.setAttribute("opacity","0");
@@ -947,14 +2762,14 @@ function renderEOL(){
       includeFutureCohorts:true,
       eolOn: state.eolOn,
       eolRel: state.eolRel,
-      cmStartIdx: state.cmStartIdx,
-      cmEff: state.cmEff,
       scale: state.scale
     });
     pts.push(v);
   }
 
-  const maxV = Math.max(...pts, 0.001);
+  const bands = activeGroupBands(pts.map((_,k)=>k), { includeFutureCohorts:true, eolOn: state.eolOn, eolRel: state.eolRel });
+  const overlays = shownScenarioSeries(pts.length, state.activeGroup);
+  const maxV = Math.max(...pts, ...(bands ? bands.map(b=>b.p90) : []), ...overlays.flatMap(o => o.values), 0.001);
   const x0=110, x1=820, y0=410, y1=190;
   const d = pts.map((v,i)=>{
     const x = x0 + (i/11)*(x1-x0);
@@ -962,11 +2777,16 @@ function renderEOL(){
     return (i===0?`M${x},${y}`:`L${x},${y}`);
   }).join(" ");
   svgEl("eolForecast").setAttribute("d", d);
+  drawBand(svgEl("eolBand"), bands, i => x0 + (i/11)*(x1-x0), v => y0 - (v/maxV)*(y0-y1));
+  drawScenarioOverlays(svgEl("eolScenarios"), overlays, i => x0 + (i/11)*(x1-x0), v => y0 - (v/maxV)*(y0-y1));
 
   const sum12 = pts.reduce((a,b)=>a+b,0);
-  svgEl("eolForecastLabel").textContent = `Expected next 12 months: ${fmt(sum12,1)} (toy)`;
-  const eolLabel = document.getElementById("eolLabel");
-  if(eolLabel) eolLabel.textContent = `+${state.eolRel} months`;
+  const forecastLabel = svgEl("eolForecastLabel");
+  forecastLabel.textContent = tx("Expected next 12 months: {n} (toy)", { n: fmt(sum12,1) }) + bandRangeText(bands);
+  announce(forecastLabel);
+  renderEolMonth();
+
+  renderDataTable("viz9Table", forecastTableHead(bands), forecastTableRows(pts, bands));
 }
 
 
@@ -975,10 +2795,31 @@ function renderEOL(){
    --------------------------- */
 const __btnResetSpike = document.getElementById("btnResetSpike");
 if(__btnResetSpike) __btnResetSpike.addEventListener("click", ()=>{
-  state.spikeExcluded = new Set();
+  state.spikeOverrides = {};
+  syncSpikeExclusions();
+  renderSpike();
+});
+
+const __btnSpikeAuto = document.getElementById("btnSpikeAuto");
+if(__btnSpikeAuto) __btnSpikeAuto.addEventListener("click", ()=>{
+  state.spikeAuto = !state.spikeAuto;
+  __btnSpikeAuto.textContent = tx(state.spikeAuto ? "Auto-detect: ON" : "Auto-detect: OFF");
+  syncSpikeExclusions();
   renderSpike();
 });
 
+const spikeThresholdEl = document.getElementById("spikeThreshold");
+if(spikeThresholdEl) spikeThresholdEl.addEventListener("input", ()=>{
+  state.spikeThreshold = parseFloat(spikeThresholdEl.value);
+  document.getElementById("spikeThresholdLabel").textContent = state.spikeThreshold.toFixed(1);
+  syncSpikeExclusions();
+  renderSpike();
+});
+
+function spikeMonthLabel(i){
+  return monthIndexToString(i - (state.spikeData.length - 1));
+}
+
 function renderSpike(){
   const g = svgEl("spikePoints");
   g.innerHTML = "";
@@ -986,12 +2827,36 @@ function renderSpike(){
   const vals = state.spikeData.slice();
   const maxV = Math.max(...vals, 1);
   const x0=110, x1=820, y0=420, y1=180;
+  const flags = detectSpikes(vals, state.spikeThreshold);
 
   // draw points (clickable)
   vals.forEach((v,i)=>{
     const x = x0 + (i/(vals.length-1))*(x1-x0);
     const y = y0 - (v/maxV)*(y0-y1);
     const excluded = state.spikeExcluded.has(i);
+    const flag = flags.get(i);
+
+    // dashed ring = flagged by the detector (whether or not it is excluded)
+    if(flag){
+      const ring = document.createElementNS("http://www.w3.org/2000/svg","circle");
+      ring.setAttribute("cx", x);
+      ring.setAttribute("cy", y);
+      ring.setAttribute("r", 16);
+      ring.setAttribute("fill", "none");
+      ring.setAttribute("stroke", "rgba(251,191,36,0.90)");
+      ring.setAttribute("stroke-width", "2");
+      ring.setAttribute("stroke-dasharray", "4 4");
+      g.appendChild(ring);
+
+      const zt = document.createElementNS("http://www.w3.org/2000/svg","text");
+      zt.setAttribute("x", x);
+      zt.setAttribute("y", y - 22);
+      zt.setAttribute("fill","rgba(251,191,36,0.95)");
+      zt.setAttribute("font-size","11");
+      zt.setAttribute("text-anchor","middle");
+      zt.textContent = `z=${fmt(flag.z,1)}`;
+      g.appendChild(zt);
+    }
 
     const c = document.createElementNS("http://www.w3.org/2000/svg","circle");
     c.setAttribute("cx", x);
@@ -1001,10 +2866,24 @@ function renderSpike(){
     c.setAttribute("stroke", excluded ? "rgba(251,113,133,0.95)" : "rgba(255,255,255,0.18)");
     c.setAttribute("stroke-width","2");
     c.style.cursor = "pointer";
+    c.setAttribute("tabindex", "0");
+    c.setAttribute("role", "checkbox");
+    c.setAttribute("aria-checked", String(excluded));
+    c.setAttribute("aria-label", tx("Exclude {month} ({count} complaints)", { month: spikeMonthLabel(i), count: fmtInt(v) }));
+    c.dataset.index = String(i);
     c.addEventListener("click", ()=>{
-      if(state.spikeExcluded.has(i)) state.spikeExcluded.delete(i);
-      else state.spikeExcluded.add(i);
+      toggleSpikeExcluded(i);
+      renderSpike();
+    });
+    c.addEventListener("keydown", (e)=>{
+      if(e.key !== "Enter" && e.key !== " ") return;
+      e.preventDefault();
+      toggleSpikeExcluded(i);
       renderSpike();
+      saveStateDebounced();
+      // the points were redrawn: keep the focus on this month
+      const again = g.querySelector(`circle[data-index="${i}"]`);
+      if(again) again.focus();
     });
     g.appendChild(c);
 
@@ -1014,25 +2893,49 @@ function renderSpike(){
     t.setAttribute("fill","rgba(156,163,175,0.90)");
     t.setAttribute("font-size","10");
     t.setAttribute("text-anchor","middle");
-    t.textContent = `${i-11}`;
+    t.textContent = spikeMonthLabel(i);
     g.appendChild(t);
   });
 
-	// compute filtered recent average on last 12 months (toy), excluding selected spikes
-	const recentN = 12;
-	const start = Math.max(0, vals.length - recentN);
-	const recentIdx = [...Array(vals.length - start)].map((_,k)=>start+k);
-
-	const included = recentIdx
-	  .filter(i=>!state.spikeExcluded.has(i))
-	  .map(i=>vals[i]);
-
-	const avg = included.length ? (included.reduce((a,b)=>a+b,0)/included.length) : 0;
-
-	document.getElementById("spikeLabel").textContent = `Filtered recent average (last ${recentN}): ${fmt(avg,2)}`;
-
+  // compute filtered recent average on last 12 months, for the current selection
+  // and for the detector alone
+  const recentN = 12;
+  const start = Math.max(0, vals.length - recentN);
+  const recentIdx = [...Array(vals.length - start)].map((_,k)=>start+k);
+  const avgExcluding = (isOut) => {
+    const included = recentIdx.filter(i=>!isOut(i)).map(i=>vals[i]);
+    return included.length ? (included.reduce((a,b)=>a+b,0)/included.length) : 0;
+  };
+  const avg = avgExcluding(i => state.spikeExcluded.has(i));
+  const autoAvg = avgExcluding(i => flags.has(i));
+
+  document.getElementById("spikeLabel").textContent =
+    tx("Filtered recent average (last {n}): {avg} ({excluded} excluded)", { n: recentN, avg: fmt(avg,2), excluded: state.spikeExcluded.size });
+  renderDataTable("viz10Table", [tx("Month"), tx("Complaints"), tx("Robust z"), tx("Excluded")],
+    vals.map((v, i) => [spikeMonthLabel(i), fmtInt(v), flags.has(i) ? fmt(flags.get(i).z,1) : "", tx(state.spikeExcluded.has(i) ? "Yes" : "No")]));
+  const autoLabel = document.getElementById("spikeAutoLabel");
+  if(autoLabel) autoLabel.textContent = tx("Automatic only: {avg} ({n} flagged)", { avg: fmt(autoAvg,2), n: flags.size });
+
+  const reasons = document.getElementById("spikeReasons");
+  if(reasons){
+    reasons.innerHTML = "";
+    flags.forEach((f, i)=>{
+      const li = document.createElement("li");
+      const overridden = state.spikeExcluded.has(i) ? ""
+        : tx(state.spikeAuto ? " — kept by you" : " — not excluded (auto-detect off)");
+      li.textContent = tx("Month {month}: {count} complaints, robust z = {z} (median {median}, MAD {mad}) > {threshold}", {
+        month: spikeMonthLabel(i), count: vals[i], z: fmt(f.z,1), median: fmt(f.median,1), mad: fmt(f.mad,1), threshold: fmt(state.spikeThreshold,1)
+      }) + overridden;
+      reasons.appendChild(li);
+    });
+    if(!flags.size){
+      const li = document.createElement("li");
+      li.textContent = tx("No month above robust z = {threshold}.", { threshold: fmt(state.spikeThreshold,1) });
+      reasons.appendChild(li);
+    }
+  }
 
-  // draw avg line
+  // draw avg lines (solid = current selection, dashed = automatic only)
   const yAvg = y0 - (avg/maxV)*(y0-y1);
   const line = svgEl("spikeAvgLine");
   const txt = svgEl("spikeAvgText");
@@ -1041,45 +2944,277 @@ function renderSpike(){
   txt.setAttribute("y", yAvg-8);
   line.setAttribute("opacity","1");
   txt.setAttribute("opacity","1");
+
+  const autoLine = svgEl("spikeAutoAvgLine");
+  if(autoLine){
+    const yAuto = y0 - (autoAvg/maxV)*(y0-y1);
+    autoLine.setAttribute("y1", yAuto);
+    autoLine.setAttribute("y2", yAuto);
+    autoLine.setAttribute("opacity", flags.size ? "1" : "0");
+  }
 }
 
 /* ---------------------------
    Slide 11: output example
    --------------------------- */
-function renderOutputExample(){
-  // choose a representative month offset
-  const offset = 14; // toy: 14 months ahead
-  const comps = expectedComplaintsForOffset(offset, {
-    includeFutureCohorts:true,
-    eolOn: state.eolOn, eolRel: state.eolRel,
-    cmStartIdx: state.cmStartIdx, cmEff: state.cmEff,
-    scale: state.scale
+function onStochasticChanged(){
+  renderStochasticControls();
+  renderModeHint();
+  renderOutputExample();
+  saveStateDebounced();
+}
+function renderStochasticControls(){
+  const st = state.stochastic;
+  const btn = document.getElementById("btnStochastic");
+  if(btn) btn.textContent = tx(st.on ? "Stochastic: ON" : "Stochastic: OFF");
+  const seedEl = document.getElementById("stochSeed");
+  if(seedEl && document.activeElement !== seedEl) seedEl.value = String(st.seed);
+  const cvEl = document.getElementById("stochCv");
+  if(cvEl) cvEl.value = String(Math.round(st.paramCv*100));
+  const cvLbl = document.getElementById("stochCvLabel");
+  if(cvLbl) cvLbl.textContent = `${Math.round(st.paramCv*100)}%`;
+}
+
+const __btnStochastic = document.getElementById("btnStochastic");
+if(__btnStochastic) __btnStochastic.addEventListener("click", ()=>{
+  state.stochastic.on = !state.stochastic.on;
+  onStochasticChanged();
+});
+const stochSeedEl = document.getElementById("stochSeed");
+if(stochSeedEl) stochSeedEl.addEventListener("change", ()=>{
+  const v = parseInt(stochSeedEl.value,10);
+  if(Number.isFinite(v) && v > 0) state.stochastic.seed = v;
+  onStochasticChanged();
+});
+const stochCvEl = document.getElementById("stochCv");
+if(stochCvEl) stochCvEl.addEventListener("input", ()=>{
+  state.stochastic.paramCv = parseInt(stochCvEl.value,10)/100;
+  onStochasticChanged();
+});
+
+function renderOutMonthSelect(offset){
+  const title = svgEl("outMonthTitle");
+  if(title) setText(title, tx("Example: {month}", { month: monthIndexToString(offset) }));
+  const sel = document.getElementById("outMonth");
+  if(!sel) return;
+  sel.innerHTML = "";
+  for(let k=0; k<18; k++){
+    const opt = document.createElement("option");
+    opt.value = String(k);
+    opt.textContent = `${monthIndexToString(k)} (+${k})`;
+    sel.appendChild(opt);
+  }
+  sel.value = String(offset);
+}
+const btnExportCsv = document.getElementById("btnExportCsv");
+if(btnExportCsv) btnExportCsv.addEventListener("click", ()=> exportForecast("csv"));
+const btnExportJson = document.getElementById("btnExportJson");
+if(btnExportJson) btnExportJson.addEventListener("click", ()=> exportForecast("json"));
+const btnExportAssumptions = document.getElementById("btnExportAssumptions");
+if(btnExportAssumptions) btnExportAssumptions.addEventListener("click", ()=> exportForecast("assumptions-csv"));
+
+const btnExportDaily = document.getElementById("btnExportDaily");
+if(btnExportDaily) btnExportDaily.addEventListener("click", ()=> exportForecast("daily-csv"));
+
+function renderDailyControls(errors){
+  const btn = document.getElementById("btnDaily");
+  if(btn) btn.textContent = tx(state.daily.on ? "Daily line: ON" : "Daily line: OFF");
+  const modeEl = document.getElementById("dailyMode");
+  if(modeEl) modeEl.value = state.daily.mode;
+  const holEl = document.getElementById("dailyHolidays");
+  if(holEl){
+    holEl.disabled = state.daily.mode !== "working";
+    if(document.activeElement !== holEl) holEl.value = state.daily.holidays.join(", ");
+  }
+  const errEl = document.getElementById("dailyErrors");
+  if(errEl){
+    errEl.textContent = (errors && errors.length) ? errors.join(" ") : "";
+    errEl.hidden = !(errors && errors.length);
+  }
+}
+const btnDailyEl = document.getElementById("btnDaily");
+if(btnDailyEl) btnDailyEl.addEventListener("click", ()=>{
+  state.daily.on = !state.daily.on;
+  renderDailyControls();
+  renderOutputExample();
+  saveStateDebounced();
+});
+const dailyModeEl = document.getElementById("dailyMode");
+if(dailyModeEl) dailyModeEl.addEventListener("change", ()=>{
+  state.daily.mode = dailyModeEl.value === "working" ? "working" : "calendar";
+  renderDailyControls();
+  renderOutputExample();
+  saveStateDebounced();
+});
+const dailyHolidaysEl = document.getElementById("dailyHolidays");
+if(dailyHolidaysEl) dailyHolidaysEl.addEventListener("change", ()=>{
+  const res = parseHolidayList(dailyHolidaysEl.value);
+  if(!res.errors.length) state.daily.holidays = res.dates;
+  renderDailyControls(res.errors);
+  renderOutputExample();
+  saveStateDebounced();
+});
+
+// Fleet attrition (page 11): only the inputs of the selected mode are editable
+function renderAttritionControls(errors){
+  const at = state.attrition;
+  const modeEl = document.getElementById("attrMode");
+  if(modeEl) modeEl.value = at.mode;
+  [["attrLife", "life", "life"], ["attrAlpha", "survAlpha", "survival"], ["attrBeta", "survBeta", "survival"]].forEach(([id, key, mode]) => {
+    const el = document.getElementById(id);
+    if(!el) return;
+    el.disabled = at.mode !== mode;
+    if(document.activeElement !== el) el.value = String(at[key]);
+  });
+  const errEl = document.getElementById("attrErrors");
+  if(errEl){
+    errEl.textContent = (errors && errors.length) ? errors.join(" ") : "";
+    errEl.hidden = !(errors && errors.length);
+  }
+}
+["attrMode", "attrLife", "attrAlpha", "attrBeta"].forEach(id => {
+  const el = document.getElementById(id);
+  if(!el) return;
+  el.addEventListener("change", ()=>{
+    const val = (x) => (document.getElementById(x) || {}).value;
+    const res = normalizeAttrition({
+      mode: val("attrMode"),
+      life: Number(val("attrLife")),
+      survAlpha: Number(val("attrAlpha")),
+      survBeta: Number(val("attrBeta"))
+    });
+    const errors = res.errors.map(msg => tx("Attrition: {msg}.", { msg }));
+    if(!errors.length) state.attrition = res.attrition;
+    renderAttritionControls(errors);
+    renderOutputExample();
+    saveStateDebounced();
   });
+});
+
+const outMonthEl = document.getElementById("outMonth");
+if(outMonthEl) outMonthEl.addEventListener("change", ()=>{
+  state.outOffset = parseInt(outMonthEl.value,10);
+  renderOutputExample();
+  saveStateDebounced();
+});
+
+function renderOutputExample(){
+  if(!svgEl("outSeries")) return;
+  const forecastOpts = { includeFutureCohorts:true, eolOn: state.eolOn, eolRel: state.eolRel };
+
+  // example month for the card (selectable, 0..17 months ahead)
+  const offset = clamp(state.outOffset, 0, 17);
+  renderOutMonthSelect(offset);
+  const comps = expectedComplaintsByGroup(offset, forecastOpts).total;
   const machines = machinesInFieldAtOffset(offset, { eolOn: state.eolOn, eolRel: state.eolRel });
   const rate = (machines > 0) ? (comps / machines) : 0;
 
+  // series: one band per group, stacked; the line is the total
+  const months = [];
+  for(let k=0;k<18;k++) months.push(expectedComplaintsByGroup(k, forecastOpts));
+  const pts = months.map(m => m.total);
+  const intervals = totalBands(pts.map((_,k)=>k), forecastOpts);
+  const ex = intervals ? intervals[offset] : null;
+
   setText(svgEl("outCompl"), fmt(comps,1));
   setText(svgEl("outMachines"), fmtInt(machines));
-  setText(svgEl("outRate"), `${fmt(rate*100,3)}% per month`);
-
-  // series
-  const pts = [];
-  for(let k=0;k<18;k++){
-    pts.push(expectedComplaintsForOffset(k, {
-      includeFutureCohorts:true,
-      eolOn: state.eolOn, eolRel: state.eolRel,
-      cmStartIdx: state.cmStartIdx, cmEff: state.cmEff,
-      scale: state.scale
-    }));
+  const retiredEl = svgEl("outRetired");
+  if(retiredEl){
+    const built = machinesInFieldAtOffset(offset, { eolOn: state.eolOn, eolRel: state.eolRel, attrition: DEFAULT_ATTRITION });
+    setText(retiredEl, state.attrition.mode === "none" ? "" : tx("{retired} of {built} built have retired", { retired: fmtInt(built - machines), built: fmtInt(built) }));
   }
-  const maxV = Math.max(...pts, 0.001);
+  setText(svgEl("outRate"), tx("{rate}% per month", { rate: fmt(rate*100,3) }));
+  const complRange = svgEl("outComplRange");
+  if(complRange) setText(complRange, ex ? `P10–P90: ${fmtInt(ex.p10)}–${fmtInt(ex.p90)} (P50 ${fmtInt(ex.p50)})` : "");
+  const totalRange = svgEl("outTotalRange");
+  if(totalRange) setText(totalRange, intervals ? tx("{months}-month total P10–P90: {lo}–{hi} (P50 {p50})", {
+    months: pts.length, lo: fmtInt(intervals.total.p10), hi: fmtInt(intervals.total.p90), p50: fmtInt(intervals.total.p50)
+  }) : "");
+  const rateRange = svgEl("outRateRange");
+  if(rateRange) setText(rateRange, (ex && machines > 0) ? `P10–P90: ${fmt(ex.p10/machines*100,3)}–${fmt(ex.p90/machines*100,3)}%` : "");
+
+  const overlays = shownScenarioSeries(pts.length);
+  const maxV = Math.max(...pts, ...(intervals ? intervals.map(b=>b.p90) : []), ...overlays.flatMap(o => o.values), 0.001);
   const x0=460, x1=820, y0=380, y1=150;
+  const xAt = (i) => x0 + (i/(pts.length-1))*(x1-x0);
+  const yAt = (v) => y0 - (v/maxV)*(y0-y1);
   const d = pts.map((v,i)=>{
-    const x = x0 + (i/(pts.length-1))*(x1-x0);
-    const y = y0 - (v/maxV)*(y0-y1);
+    const x = xAt(i);
+    const y = yAt(v);
     return (i===0?`M${x},${y}`:`L${x},${y}`);
   }).join(" ");
   svgEl("outSeries").setAttribute("d", d);
+  drawBand(svgEl("outBand"), intervals, xAt, yAt);
+  drawScenarioOverlays(svgEl("outScenarios"), overlays, xAt, yAt);
+  announce(svgEl("outCompl"), tx("{month}: {n} complaints expected, {rate}% per month", { month: monthIndexToString(offset), n: fmt(comps,1), rate: fmt(rate*100,3) }));
+
+  const groups = months[0].byGroup.length > 1 ? months[0].byGroup : [];
+  renderDataTable("viz11Table", [tx("Month"), tx("Expected")].concat(groups.map(g => g.title), intervals ? ["P10–P90"] : []),
+    months.map((m, k) => [monthIndexToString(k), fmt(m.total,1)]
+      .concat(m.byGroup.slice(0, groups.length).map(x => fmt(x.value,1)), intervals ? [`${fmtInt(intervals[k].p10)}–${fmtInt(intervals[k].p90)}`] : [])));
+
+  const marker = svgEl("outMarker");
+  if(marker){
+    marker.setAttribute("x1", xAt(offset));
+    marker.setAttribute("x2", xAt(offset));
+  }
+  const markerDot = svgEl("outMarkerDot");
+  if(markerDot){
+    markerDot.setAttribute("cx", xAt(offset));
+    markerDot.setAttribute("cy", yAt(pts[offset]));
+  }
+  const axisStart = svgEl("outAxisStart");
+  if(axisStart) setText(axisStart, monthIndexToString(0));
+  const axisEnd = svgEl("outAxisEnd");
+  if(axisEnd) setText(axisEnd, monthIndexToString(pts.length-1));
+
+  // daily line: own scale (a day is ~1/30 of a month), spread between month points
+  const dailyPath = svgEl("outDaily");
+  const dailyMax = svgEl("outDailyMax");
+  if(dailyPath){
+    if(state.daily.on){
+      const now = nowMonthKey();
+      const dayPts = [];
+      for(let k=0; k<pts.length-1; k++){
+        const days = prorateMonth(now + k, pts[k]);
+        days.forEach((d, j) => dayPts.push({ x: xAt(k + (j + 0.5)/days.length), v: d.value }));
+      }
+      const maxD = Math.max(...dayPts.map(p => p.v), 0.001);
+      dailyPath.setAttribute("d", dayPts.map((p,i)=>`${i===0?"M":"L"}${p.x},${y0 - (p.v/maxD)*(y0-y1)}`).join(" "));
+      if(dailyMax) setText(dailyMax, tx("daily, max {n}/day", { n: fmt(maxD,2) }));
+    }else{
+      dailyPath.setAttribute("d", "");
+      if(dailyMax) setText(dailyMax, "");
+    }
+  }
+
+  const bands = svgEl("outGroups");
+  if(!bands) return;
+  bands.innerHTML = "";
+  const groupCount = months[0].byGroup.length;
+  if(groupCount < 2) return;
+
+  const lower = pts.map(() => 0);
+  months[0].byGroup.forEach((g, gi)=>{
+    const upper = months.map((m, i) => lower[i] + m.byGroup[gi].value);
+    const top = upper.map((v,i)=>`${i===0?"M":"L"}${xAt(i)},${yAt(v)}`).join(" ");
+    const bottom = lower.map((v,i)=>({v,i})).reverse().map(({v,i})=>`L${xAt(i)},${yAt(v)}`).join(" ");
+    const area = document.createElementNS("http://www.w3.org/2000/svg","path");
+    area.setAttribute("d", `${top} ${bottom} Z`);
+    area.setAttribute("fill", groupColor(gi));
+    area.setAttribute("stroke", "none");
+    bands.appendChild(area);
+
+    const t = document.createElementNS("http://www.w3.org/2000/svg","text");
+    t.setAttribute("x", 470);
+    t.setAttribute("y", 146 + gi*15);
+    t.setAttribute("fill", groupColor(gi).replace(/[\d.]+\)$/, "0.95)"));
+    t.setAttribute("font-size", "11");
+    t.textContent = `■ ${g.title}: ${fmt(months[offset].byGroup[gi].value,1)}`;
+    bands.appendChild(t);
+
+    upper.forEach((v,i)=>{ lower[i] = v; });
+  });
 }
 
 
@@ -1087,21 +3222,97 @@ function renderOutputExample(){
    Split-pages navigation + shared state
    --------------------------- */
 
-/* State persistence (localStorage) */
+/* State persistence (localStorage)
+   The storage key keeps its historical "_v1" name so existing decks still
+   load; the format version lives in the snapshot's schemaVersion field.
+   Snapshots without one are schema 1 (everything saved before versioning). */
 const __PERSIST_KEY = "complaint_presentation_state_v1";
+const STATE_SCHEMA_VERSION = 2;
+
+// STATE_MIGRATIONS[n] turns a schema-n snapshot into schema n+1
+const STATE_MIGRATIONS = {
+  // 1 -> 2: the single cut-in (cmStartIdx + cmEff) becomes a CM list,
+  // clicked spikeExcluded months become overrides, and decks from before
+  // the group registry get one group built from the flat fields
+  1: (snap) => {
+    const out = { ...snap };
+    if(!Array.isArray(out.cms) && typeof snap.cmStartIdx === "number" && typeof snap.cmEff === "number"){
+      out.cms = [{ id: "cm1", type: "cutin", start: snap.cmStartIdx, eff: clamp(snap.cmEff, 0, 1), phaseIn: 0 }];
+    }
+    delete out.cmStartIdx;
+    delete out.cmEff;
+    if(!out.spikeOverrides && Array.isArray(snap.spikeExcluded)){
+      out.spikeOverrides = {};
+      snap.spikeExcluded.forEach(i => { out.spikeOverrides[i] = true; });
+    }
+    if(!Array.isArray(out.groups) && typeof out.alpha === "number" && typeof out.beta === "number"){
+      out.groups = [{
+        id: "g1", alpha: out.alpha, beta: out.beta,
+        presetTitle: typeof out.presetTitle === "string" ? out.presetTitle : "—",
+        scale: typeof out.scale === "number" ? out.scale : 1.0,
+        calibInfo: out.calibInfo || null,
+        cms: Array.isArray(out.cms) ? out.cms : [],
+        cmSelected: 0
+      }];
+      out.activeGroup = "g1";
+    }
+    out.schemaVersion = 2;
+    return out;
+  },
+};
+
+// -> {snap, from} at STATE_SCHEMA_VERSION, or {error}
+function migrateSnapshot(raw){
+  if(!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: "the state must be a JSON object." };
+  const from = raw.schemaVersion === undefined ? 1 : raw.schemaVersion;
+  if(!Number.isInteger(from) || from < 1) return { error: `unknown schemaVersion ${JSON.stringify(raw.schemaVersion)}.` };
+  if(from > STATE_SCHEMA_VERSION){
+    return { error: `saved by a newer version of the deck (schema v${from}; this one reads up to v${STATE_SCHEMA_VERSION}).` };
+  }
+  let snap = raw;
+  for(let v = from; v < STATE_SCHEMA_VERSION; v++) snap = STATE_MIGRATIONS[v](snap);
+  return { snap, from };
+}
 
 function __snapshotState(){
   return {
+    schemaVersion: STATE_SCHEMA_VERSION,
     moveMonths: state.moveMonths,
+    plan: state.plan,
+    attrition: state.attrition,
+    dist: state.dist,
     alpha: state.alpha,
     beta: state.beta,
+    infant: state.infant,
     presetTitle: state.presetTitle,
     scale: state.scale,
-    cmEff: state.cmEff,
-    cmStartIdx: state.cmStartIdx,
+    calibWindow: state.calibWindow,
+    calibInfo: state.calibInfo,
+    cms: state.cms,
+    cmSelected: state.cmSelected,
     eolOn: state.eolOn,
     eolRel: state.eolRel,
     spikeExcluded: Array.from(state.spikeExcluded || []),
+    spikeOverrides: state.spikeOverrides,
+    spikeAuto: state.spikeAuto,
+    spikeThreshold: state.spikeThreshold,
+    groups: groupsForForecast(),
+    activeGroup: state.activeGroup,
+    stochastic: state.stochastic,
+    nowMonth: state.nowMonth,
+    outOffset: state.outOffset,
+    daily: state.daily,
+    scenarios: state.scenarios,
+    scenarioBaseline: state.scenarioBaseline,
+    backtest: state.backtest,
+    sensitivity: state.sensitivity,
+    lang: state.lang,
+    // imported history only; toy data is rebuilt by initToyData()
+    history: state.dataSource ? {
+      source: state.dataSource,
+      cohorts: state.cohorts,
+      complaints: state.complaints
+    } : null,
     showTop: (typeof showTop !== "undefined") ? !!showTop : false
   };
 }
@@ -1112,90 +3323,480 @@ function saveState(){
 function saveStateDebounced(){
   if(__saveTimer) clearTimeout(__saveTimer);
   __saveTimer = setTimeout(saveState, 120);
+  queueStateSync();
 }
-function loadState(){
+// Valid CMs of a snapshot (or a saved group); null if it has no CM list
+function cmsFromSnapshot(snap){
+  if(Array.isArray(snap.cms)){
+    return snap.cms
+      .filter(c => c && typeof c.start === "number" && typeof c.eff === "number")
+      .map((c, i) => ({
+        id: typeof c.id === "string" ? c.id : `cm${i+1}`,
+        type: c.type === "retrofit" ? "retrofit" : "cutin",
+        start: Math.round(c.start),
+        eff: clamp(c.eff, 0, 1),
+        phaseIn: typeof c.phaseIn === "number" ? Math.max(0, Math.round(c.phaseIn)) : 0
+      }));
+  }
+  return null;
+}
+
+// Infant component of a mixture curve, or null when malformed
+function infantFromSnapshot(inf){
+  if(!inf) return null;
+  const { infant, errors } = normalizeInfant(inf);
+  return errors.length ? null : infant;
+}
+// Valid groups of a saved registry (snapshot or scenario), others dropped
+function groupsFromSnapshot(list){
+  const num = (x) => typeof x === "number" && Number.isFinite(x);
+  return list.filter(g => g && typeof g.id === "string" &&
+    num(g.alpha) && num(g.beta) && num(g.scale) && cmsFromSnapshot(g))
+    .map(g => ({
+      ...groupFromState(g.id), ...g,
+      // saved before distributions existed -> Weibull
+      dist: DISTRIBUTIONS.includes(g.dist) ? g.dist : "weibull",
+      infant: infantFromSnapshot(g.infant) || { ...DEFAULT_INFANT },
+      presetTitle: typeof g.presetTitle === "string" ? g.presetTitle : "—",
+      calibInfo: (g.calibInfo && typeof g.calibInfo.window === "number") ? g.calibInfo : null,
+      cms: cmsFromSnapshot(g),
+      cmSelected: num(g.cmSelected) ? g.cmSelected : 0
+    }));
+}
+
+/* Deep links: ?state=<base64url JSON snapshot>. A link wins over whatever
+   localStorage holds; it is copied into localStorage and then removed from
+   the address bar, so later edits and reloads are not reset by the link.
+   Where the address cannot be rewritten (some browsers on file://), the
+   applied link is remembered for the tab in sessionStorage instead. */
+const __STATE_PARAM = "state";
+const __LINK_APPLIED_KEY = "complaint_presentation_link_applied";
+
+function encodeStateParam(snap){
+  const bytes = new TextEncoder().encode(JSON.stringify(snap));
+  let bin = "";
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"");
+}
+function decodeStateParam(str){
+  try{
+    const b64 = String(str).replace(/-/g,"+").replace(/_/g,"/");
+    const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+    const snap = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0))));
+    return (snap && typeof snap === "object") ? snap : null;
+  }catch(_e){ return null; }
+}
+// Link to the current page with the full state
+function stateLink(){
+  const base = window.location.href.split(/[?#]/)[0];
+  const hash = __singleDocument ? `#${state.slide}` : "";
+  return `${base}?${__STATE_PARAM}=${encodeStateParam(__snapshotState())}${hash}`;
+}
+function stateParamFromUrl(){
+  return new URLSearchParams(window.location.search).get(__STATE_PARAM);
+}
+function linkAlreadyApplied(param){
+  try{ return sessionStorage.getItem(__LINK_APPLIED_KEY) === param; }catch(_e){ return false; }
+}
+function clearStateFromUrl(param){
   try{
-    const raw = localStorage.getItem(__PERSIST_KEY);
-    if(!raw) return false;
-    const snap = JSON.parse(raw);
+    const url = new URL(window.location.href);
+    url.searchParams.delete(__STATE_PARAM);
+    history.replaceState(history.state, "", url.toString());
+  }catch(_e){
+    try{ sessionStorage.setItem(__LINK_APPLIED_KEY, param); }catch(_e2){}
+  }
+}
+
+function copyText(text){
+  if(navigator.clipboard && window.isSecureContext !== false){
+    return navigator.clipboard.writeText(text).then(()=>true, ()=>copyTextFallback(text));
+  }
+  return Promise.resolve(copyTextFallback(text));
+}
+function copyTextFallback(text){
+  const ta = document.createElement("textarea");
+  ta.value = text;
+  ta.style.position = "fixed";
+  ta.style.opacity = "0";
+  document.body.appendChild(ta);
+  ta.select();
+  let ok = false;
+  try{ ok = document.execCommand("copy"); }catch(_e){}
+  ta.remove();
+  return ok;
+}
+function setupCopyLink(){
+  const btn = document.getElementById("btnCopyLink");
+  if(!btn) return;
+  const status = document.getElementById("copyLinkStatus");
+  btn.addEventListener("click", ()=>{
+    const link = stateLink();
+    copyText(link).then(ok => {
+      if(!ok) window.prompt(tx("Copy this link:"), link);
+      if(status){
+        status.textContent = ok ? tx("Link copied") : "";
+        setTimeout(()=>{ status.textContent = ""; }, 2000);
+      }
+    });
+  });
+}
 
-    if(typeof snap.moveMonths === "number") state.moveMonths = snap.moveMonths;
-    if(typeof snap.alpha === "number") state.alpha = snap.alpha;
-    if(typeof snap.beta === "number") state.beta = snap.beta;
-    if(typeof snap.presetTitle === "string") state.presetTitle = snap.presetTitle;
-    if(typeof snap.scale === "number") state.scale = snap.scale;
+// Problems met while restoring a link or the stored state, shown by
+// renderStateLoadReports once the page (and its language) is set up
+const __stateLoadReports = [];
+function noteStateLoad(source, res){
+  if(!res.ok || res.rejected.length) __stateLoadReports.push({ source, res });
+}
+
+function loadState(){
+  const param = stateParamFromUrl();
+  if(param && !linkAlreadyApplied(param)){
+    const snap = decodeStateParam(param);
+    const res = snap ? loadSnapshot(snap) : { ok: false, rejected: [], error: null };
+    noteStateLoad("link", res);
+    if(res.ok) saveState();
+    clearStateFromUrl(param);
+    if(res.ok) return true;
+  }
+  let raw;
+  try{ raw = localStorage.getItem(__PERSIST_KEY); }
+  catch(_e){ return false; }
+  if(!raw) return false;
+  let snap;
+  try{ snap = JSON.parse(raw); }
+  catch(_e){
+    noteStateLoad("stored", { ok: false, rejected: [], error: "not valid JSON." });
+    return false;
+  }
+  const res = loadSnapshot(snap);
+  noteStateLoad("stored", res);
+  return res.ok;
+}
+
+// Restore the model from a snapshot that is already at STATE_SCHEMA_VERSION.
+// Missing fields keep their current value; fields that are present but
+// invalid are skipped and listed in the returned report.
+function applySnapshot(snap){
+  const rejected = [];
+  const reject = (field, reason) => rejected.push({ field, reason });
+  const num = (x) => typeof x === "number" && Number.isFinite(x);
+  const bool = (x) => typeof x === "boolean";
+  const obj = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+  const take = (field, valid, set, reason="wrong type") => {
+    const v = snap[field];
+    if(v === undefined) return;
+    if(valid(v)) set(v);
+    else reject(field, reason);
+  };
+
+  const known = new Set(["schemaVersion", "moveMonths", "plan", "attrition", "dist", "alpha", "beta", "infant", "presetTitle", "scale",
+    "calibWindow", "calibInfo", "cms", "cmSelected", "eolOn", "eolRel", "spikeExcluded",
+    "spikeOverrides", "spikeAuto", "spikeThreshold", "groups", "activeGroup", "stochastic",
+    "nowMonth", "outOffset", "daily", "scenarios", "scenarioBaseline", "backtest", "sensitivity", "lang", "history", "showTop"]);
+  Object.keys(snap).forEach(k => { if(!known.has(k)) reject(k, "unknown field, ignored"); });
+
+  take("moveMonths", num, v => { state.moveMonths = clamp(Math.round(v), 0, 24); });
+  take("plan", obj, v => {
+    const res = normalizePlan(v, state.plan);
+    res.errors.forEach(msg => reject("plan", msg));
+    state.plan = res.plan;
+  });
+  take("attrition", obj, v => {
+    const res = normalizeAttrition(v, state.attrition);
+    res.errors.forEach(msg => reject("attrition", msg));
+    state.attrition = res.attrition;
+  });
+  take("dist", v => DISTRIBUTIONS.includes(v), v => { state.dist = v; }, `must be one of ${DISTRIBUTIONS.join(", ")}`);
+  take("infant", v => infantFromSnapshot(v) !== null, v => { state.infant = infantFromSnapshot(v); }, "needs weight 0–1, alpha and beta > 0");
+  take("alpha", v => num(v) && v > 0, v => { state.alpha = v; }, "must be a positive number");
+  take("beta", v => num(v) && v > 0, v => { state.beta = v; }, "must be a positive number");
+  take("presetTitle", v => typeof v === "string", v => { state.presetTitle = v; });
+  take("scale", v => num(v) && v >= 0, v => { state.scale = v; }, "must be a number ≥ 0");
+  take("calibWindow", num, v => { state.calibWindow = v; });
+  take("calibInfo", v => v === null || (obj(v) && num(v.window)), v => { state.calibInfo = v; });
+
+  take("cms", Array.isArray, v => {
+    const cms = cmsFromSnapshot(snap);
+    if(cms.length < v.length) reject("cms", `${v.length - cms.length} entr${v.length - cms.length === 1 ? "y" : "ies"} without start/eff dropped`);
+    state.cms = cms;
+  });
+  take("cmSelected", num, v => { state.cmSelected = clamp(Math.round(v), 0, Math.max(0, state.cms.length-1)); });
+
+  take("eolOn", bool, v => { state.eolOn = v; });
+  // after "plan": the range ends at the plan horizon
+  take("eolRel", v => Number.isInteger(v) && v >= EOL_REL_MIN && v <= forecastHorizon(), v => { state.eolRel = v; },
+    `must be a whole number of months, ${EOL_REL_MIN}–${forecastHorizon()} (the plan horizon)`);
+
+  take("groups", Array.isArray, v => {
+    const groups = groupsFromSnapshot(v);
+    if(groups.length < v.length) reject("groups", `${v.length - groups.length} invalid group(s) dropped`);
+    if(!groups.length) return;
+    state.groups = groups;
+    loadGroupIntoState(state.groups.find(g => g.id === snap.activeGroup) || state.groups[0]);
+  });
+  take("activeGroup", v => typeof v === "string", () => {});
+
+  take("scenarios", Array.isArray, v => {
+    const scenarios = v
+      .filter(sc => sc && typeof sc.id === "string" && typeof sc.name === "string" && Array.isArray(sc.groups))
+      .map(sc => ({
+        id: sc.id,
+        name: sc.name,
+        groups: groupsFromSnapshot(sc.groups),
+        activeGroup: typeof sc.activeGroup === "string" ? sc.activeGroup : "g1",
+        eolOn: sc.eolOn === true,
+        eolRel: num(sc.eolRel) ? sc.eolRel : 18,
+        plan: obj(sc.plan) ? normalizePlan(sc.plan).plan : undefined,
+        attrition: obj(sc.attrition) ? normalizeAttrition(sc.attrition).attrition : undefined,
+        shown: sc.shown !== false
+      }))
+      .filter(sc => sc.groups.length);
+    if(scenarios.length < v.length) reject("scenarios", `${v.length - scenarios.length} invalid scenario(s) dropped`);
+    state.scenarios = scenarios;
+  });
+  take("scenarioBaseline", v => typeof v === "string", v => { state.scenarioBaseline = v; });
+  take("backtest", v => obj(v) && Number.isInteger(v.cutoff) && v.cutoff <= 0, v => {
+    state.backtest = { cutoff: v.cutoff, refit: v.refit === true };
+  }, "needs a cutoff monthIndex ≤ 0");
+  take("sensitivity", v => obj(v) && num(v.pct) && num(v.shift), v => {
+    state.sensitivity = { pct: clamp(v.pct, 0.05, 0.5), shift: clamp(Math.round(v.shift), 1, 12) };
+  });
+  if(!state.scenarios.some(sc => sc.id === state.scenarioBaseline)) state.scenarioBaseline = "live";
+
+  take("nowMonth", v => parseMonthKey(v) !== null, v => { state.nowMonth = monthKeyToString(parseMonthKey(v)); }, "must be YYYY-MM");
+  take("outOffset", Number.isInteger, v => { state.outOffset = clamp(v, 0, 17); });
+
+  take("daily", obj, dly => {
+    if(bool(dly.on)) state.daily.on = dly.on;
+    if(dly.mode === "calendar" || dly.mode === "working") state.daily.mode = dly.mode;
+    else if(dly.mode !== undefined) reject("daily.mode", "must be calendar or working");
+    if(Array.isArray(dly.holidays)){
+      const res = parseHolidayList(dly.holidays.join(","));
+      if(res.errors.length) reject("daily.holidays", res.errors.join(" "));
+      state.daily.holidays = res.dates;
+    }
+  });
+
+  take("stochastic", obj, st => {
+    if(bool(st.on)) state.stochastic.on = st.on;
+    if(Number.isInteger(st.seed) && st.seed > 0) state.stochastic.seed = st.seed;
+    else if(st.seed !== undefined) reject("stochastic.seed", "must be a positive integer");
+    if(Number.isInteger(st.runs) && st.runs > 0) state.stochastic.runs = Math.min(st.runs, 2000);
+    else if(st.runs !== undefined) reject("stochastic.runs", "must be a positive integer");
+    if(num(st.paramCv)) state.stochastic.paramCv = clamp(st.paramCv, 0, 1);
+    else if(st.paramCv !== undefined) reject("stochastic.paramCv", "wrong type");
+  });
+
+  // history before the spike fields: applying it resets the spike overrides
+  const rows = (list, key) => Array.isArray(list) && list.length &&
+    list.every(r => r && Number.isInteger(r.monthIndex) && num(r[key]) && r[key] >= 0);
+  take("history",
+    h => h === null || (obj(h) && obj(h.source) && rows(h.cohorts, "machines") && rows(h.complaints, "count")),
+    h => {
+      if(h) applyHistory(h);
+      else if(state.dataSource) initToyData();
+    },
+    "cohorts/complaints must be non-empty lists of {monthIndex, machines|count ≥ 0}");
+
+  take("spikeAuto", bool, v => { state.spikeAuto = v; });
+  take("spikeThreshold", num, v => { state.spikeThreshold = clamp(v, 2, 8); });
+  take("spikeOverrides", obj, v => {
+    state.spikeOverrides = {};
+    Object.keys(v).forEach(k => {
+      if(bool(v[k])) state.spikeOverrides[k] = v[k];
+      else reject(`spikeOverrides.${k}`, "must be true or false");
+    });
+  });
+  syncSpikeExclusions();
+
+  take("showTop", bool, v => { if(typeof showTop !== "undefined") showTop = v; });
+  take("lang", v => Object.prototype.hasOwnProperty.call(LANGS, v), v => { state.lang = v; }, "must be en or ja");
+
+  return { ok: true, rejected };
+}
+
+// Parse + migrate + apply. Returns {ok, from, rejected, error}.
+function loadSnapshot(raw){
+  let migrated;
+  try{
+    migrated = migrateSnapshot(raw);
+  }catch(e){
+    return { ok: false, rejected: [], error: `Migration failed: ${e.message}` };
+  }
+  if(migrated.error) return { ok: false, rejected: [], error: migrated.error };
+  try{
+    const res = applySnapshot(migrated.snap);
+    return { ...res, from: migrated.from };
+  }catch(e){
+    return { ok: false, rejected: [], error: `Could not apply the state: ${e.message}` };
+  }
+}
 
-    if(typeof snap.cmEff === "number") state.cmEff = snap.cmEff;
-    if(typeof snap.cmStartIdx === "number") state.cmStartIdx = snap.cmStartIdx;
+/* State file (download / import) */
+function downloadStateFile(){
+  const d = new Date();
+  const day = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}-${String(d.getDate()).padStart(2,"0")}`;
+  downloadText(`complaint-model-state-${day}.json`, JSON.stringify(__snapshotState(), null, 2), "application/json");
+}
 
-    if(typeof snap.eolOn === "boolean") state.eolOn = snap.eolOn;
-    if(typeof snap.eolRel === "number") state.eolRel = snap.eolRel;
+// Heading plus the rejected fields of a loadSnapshot result
+function fillStateReport(box, heading, res){
+  box.innerHTML = "";
+  box.hidden = false;
+  box.classList.toggle("error", !res.ok);
+  const head = document.createElement("b");
+  head.textContent = heading;
+  box.appendChild(head);
+  if(res.ok && res.rejected.length){
+    const ul = document.createElement("ul");
+    ul.className = "list";
+    res.rejected.forEach(r => {
+      const li = document.createElement("li");
+      li.textContent = `${r.field}: ${r.reason}`;
+      ul.appendChild(li);
+    });
+    box.appendChild(document.createTextNode(tx(" Some fields were rejected and kept their current value:")));
+    box.appendChild(ul);
+  }
+}
 
-    if(Array.isArray(snap.spikeExcluded)) state.spikeExcluded = new Set(snap.spikeExcluded);
+function renderStateFileReport(name, res){
+  const box = document.getElementById("stateFileReport");
+  if(!box) return;
+  fillStateReport(box, !res.ok ? tx("Could not load {name}: {error}", { name, error: res.error })
+    : res.from < STATE_SCHEMA_VERSION ? tx("Loaded {name} (migrated from schema v{from} to v{to}).", { name, from: res.from, to: STATE_SCHEMA_VERSION })
+    : tx("Loaded {name}.", { name }), res);
+}
 
-    if(typeof snap.showTop === "boolean" && (typeof showTop !== "undefined")) showTop = snap.showTop;
+// Link and stored-state problems, above the slide; not inside the overview,
+// handout or presenter frames, which are sent the state by their parent
+function renderStateLoadReports(){
+  const main = document.querySelector(".app main");
+  if(!main || window.parent !== window) return;
+  let wrap = main.querySelector(".state-load-reports");
+  if(!__stateLoadReports.length){
+    if(wrap) wrap.remove();
+    return;
+  }
+  if(!wrap){
+    wrap = document.createElement("div");
+    wrap.className = "state-load-reports";
+    main.prepend(wrap);
+  }
+  wrap.innerHTML = "";
+  __stateLoadReports.forEach(r => {
+    const box = document.createElement("div");
+    box.className = "callout state-load-report";
+    box.setAttribute("role", "status");
+    const { res } = r;
+    fillStateReport(box, r.source === "link"
+      ? (res.ok ? tx("Applied the shared link.")
+        : res.error ? tx("Could not apply the shared link: {error}", { error: tx(res.error) })
+        : tx("The shared link could not be decoded and was ignored."))
+      : (res.ok ? tx("Restored the saved settings.") : tx("Could not restore the saved settings: {error}", { error: tx(res.error) })), res);
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "state-load-dismiss";
+    close.textContent = tx("Dismiss");
+    close.addEventListener("click", ()=>{
+      __stateLoadReports.splice(__stateLoadReports.indexOf(r), 1);
+      renderStateLoadReports();
+    });
+    box.appendChild(close);
+    wrap.appendChild(box);
+  });
+}
 
-    return true;
-  }catch(_e){ return false; }
+function importStateFile(file){
+  if(!file) return;
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    let raw;
+    try{ raw = JSON.parse(String(reader.result)); }
+    catch(_e){ return renderStateFileReport(file.name, { ok: false, error: tx("not valid JSON.") }); }
+    const res = loadSnapshot(raw);
+    renderStateFileReport(file.name, res);
+    if(!res.ok) return;
+    saveState();
+    applyStateToControls();
+    renderGroupSelect();
+    onEnterSlide(state.slide);
+  };
+  reader.onerror = ()=> renderStateFileReport(file.name, { ok: false, error: tx("the file could not be read.") });
+  reader.readAsText(file);
 }
 
+const btnStateDownload = document.getElementById("btnStateDownload");
+if(btnStateDownload) btnStateDownload.addEventListener("click", downloadStateFile);
+const stateFileEl = document.getElementById("stateFile");
+if(stateFileEl) stateFileEl.addEventListener("change", ()=>{
+  importStateFile(stateFileEl.files && stateFileEl.files[0]);
+  stateFileEl.value = "";
+});
+
 function applyStateToControls(){
+  translatePage();
   const cohortMove = document.getElementById("cohortMove");
   if(cohortMove){
     cohortMove.value = String(state.moveMonths);
     const lbl = document.getElementById("cohortMoveLabel");
     if(lbl) lbl.textContent = state.moveMonths;
   }
-  const alphaEl = document.getElementById("alpha");
-  if(alphaEl){
-    alphaEl.value = String(state.alpha);
-    const lbl = document.getElementById("alphaLabel");
-    if(lbl) lbl.textContent = state.alpha;
-  }
-  const betaEl = document.getElementById("beta");
-  if(betaEl){
-    betaEl.value = String(state.beta);
-    const lbl = document.getElementById("betaLabel");
-    if(lbl) lbl.textContent = Number(state.beta).toFixed(1);
-  }
+  renderDistControls();
   const presetTitleEl = document.getElementById("presetTitle");
   if(presetTitleEl){
-    presetTitleEl.textContent = state.presetTitle || "—";
-  }
-  const cmEffEl = document.getElementById("cmEff");
-  if(cmEffEl){
-    cmEffEl.value = String(Math.round(state.cmEff*100));
-    const lbl = document.getElementById("cmEffLabel");
-    if(lbl) lbl.textContent = `${Math.round(state.cmEff*100)}%`;
+    presetTitleEl.textContent = displayTitle(state.presetTitle || "—");
   }
+  renderCMControls();
+  renderStochasticControls();
+  renderDailyControls();
+  renderModeHint();
   const btnEolToggle = document.getElementById("btnEolToggle");
   if(btnEolToggle){
-    btnEolToggle.textContent = `EOL: ${state.eolOn ? "ON" : "OFF"}`;
+    btnEolToggle.textContent = tx(state.eolOn ? "EOL: ON" : "EOL: OFF");
+  }
+  const btnSpikeAuto = document.getElementById("btnSpikeAuto");
+  if(btnSpikeAuto){
+    btnSpikeAuto.textContent = tx(state.spikeAuto ? "Auto-detect: ON" : "Auto-detect: OFF");
+  }
+  const spikeThresholdEl = document.getElementById("spikeThreshold");
+  if(spikeThresholdEl){
+    spikeThresholdEl.value = String(state.spikeThreshold);
+    const lbl = document.getElementById("spikeThresholdLabel");
+    if(lbl) lbl.textContent = state.spikeThreshold.toFixed(1);
   }
   const eolEl = document.getElementById("eol");
   if(eolEl){
     eolEl.value = String(state.eolRel);
   }
-  const eolLabel = document.getElementById("eolLabel");
-  if(eolLabel){
-    eolLabel.textContent = `+${state.eolRel} months`;
+  renderEolMonth();
+  renderPlanControls();
+  renderAttritionControls();
+  const calibWindowEl = document.getElementById("calibWindow");
+  if(calibWindowEl){
+    calibWindowEl.max = String(Math.max(3, state.complaints.length));
+    state.calibWindow = clamp(state.calibWindow, 3, Math.max(3, state.complaints.length));
+    calibWindowEl.value = String(state.calibWindow);
+    const lbl = document.getElementById("calibWindowLabel");
+    if(lbl) lbl.textContent = state.calibWindow;
   }
   updateCalibrationLabel();
   const btnContrib = document.getElementById("btnContrib");
   if(btnContrib && (typeof showTop !== "undefined")){
-    btnContrib.textContent = (showTop ? "Hide top contributors" : "Show top contributors");
+    btnContrib.textContent = tx(showTop ? "Hide top contributors" : "Show top contributors");
   }
 }
 
 function __attachAutoSave(){
-  ["cohortMove","alpha","beta","cmEff","eol"].forEach(id=>{
+  ["cohortMove","alpha","beta","alpha6","beta6","cmEff","cmPhase","cmStart","cmType","eol","calibWindow","spikeThreshold"].forEach(id=>{
     const el = document.getElementById(id);
     if(el){
       el.addEventListener("input", saveStateDebounced);
       el.addEventListener("change", saveStateDebounced);
     }
   });
-  ["btnCalibrate","btnContrib","btnEolToggle","btnResetSpike"].forEach(id=>{
+  ["btnCalibrate","btnResetScale","btnContrib","btnEolToggle","btnResetSpike","btnSpikeAuto"].forEach(id=>{
     const el = document.getElementById(id);
     if(el) el.addEventListener("click", saveStateDebounced);
   });
@@ -1203,8 +3804,93 @@ function __attachAutoSave(){
   if(svg10) svg10.addEventListener("click", saveStateDebounced);
 }
 
-/* Navigation */
+/* Presenter sync
+   pages/presenter.html shows a page in a frame and drives the audience
+   window it opened; each of those pages talks to the presenter view with
+   postMessage (works between file:// pages, no server needed):
+     page -> presenter   {type:"ready", slide, total, title, notes} on each slide
+                         {type:"state", snap} after an edit
+     presenter -> page   {type:"goto", slide}, {type:"state", snap}
+   The presenter relays states between its frame and the audience window,
+   so a slider moved or a line dragged on one side shows on the other.
+   Pages opened normally have no presenter and send nothing. */
+const PRESENTER_CHANNEL = "complaint-presenter";
+let __syncJson = null;   // last snapshot sent to or received from the presenter
+let __syncTimer = null;
+
+function presenterPeer(){
+  if(window.parent !== window) return window.parent;
+  if(window.opener && !window.opener.closed) return window.opener;
+  return null;
+}
+function postToPresenter(msg){
+  const peer = presenterPeer();
+  if(!peer) return;
+  try{ peer.postMessage({ channel: PRESENTER_CHANNEL, ...msg }, "*"); }catch(_e){}
+}
+// Throttled rather than debounced: a drag keeps the other window moving
+function queueStateSync(){
+  if(__syncJson === null || __syncTimer) return;
+  __syncTimer = setTimeout(()=>{
+    __syncTimer = null;
+    const snap = __snapshotState();
+    const json = JSON.stringify(snap);
+    if(json === __syncJson) return;
+    __syncJson = json;
+    postToPresenter({ type: "state", snap });
+  }, 60);
+}
+function setupPresenterSync(){
+  const peer = presenterPeer();
+  if(!peer) return;
+  __syncJson = JSON.stringify(__snapshotState());
+  window.addEventListener("message", (e)=>{
+    const msg = e.data;
+    if(e.source !== peer || !msg || msg.channel !== PRESENTER_CHANNEL) return;
+    if(msg.type === "goto" && msg.slide !== state.slide) showSlide(msg.slide);
+    if(msg.type === "state" && JSON.stringify(msg.snap) !== __syncJson){
+      const lang = state.lang;
+      if(!loadSnapshot(msg.snap).ok) return;
+      __syncJson = JSON.stringify(__snapshotState());
+      applyStateToControls();
+      renderGroupSelect();
+      onEnterSlide(state.slide);
+      // the title was reported in the old language
+      if(state.lang !== lang) reportToPresenter();
+      // keep the newest state on disk too, whichever window saves last
+      saveStateDebounced();
+    }
+  });
+}
+function reportToPresenter(){
+  const title = document.querySelector(".slide.active h2");
+  const notes = document.querySelector(".slide.active .notes");
+  postToPresenter({
+    type: "ready", slide: state.slide, total: state.totalSlides, lang: state.lang,
+    title: title ? title.textContent : "",
+    notes: notes ? notes.innerHTML.trim() : ""
+  });
+}
+
+// Keys typed into a form field are text, not shortcuts
+function isTypingTarget(el){
+  return !!el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+}
+function openPresenterView(n){
+  window.location.href = `./presenter.html?slide=${n}`;
+}
+
+/* Navigation
+   Split pages: every slide is its own file (pages/pageNN.html) and moving
+   loads that file; the state travels through localStorage.
+   Single document (built by cli/build-deck.js): every slide is in one file,
+   the hash picks the slide (#7), back/forward walk the slides and the
+   state simply stays in memory. A ?state= link still works: it sits in the
+   query, before the hash. */
+let __singleDocument = false;
+
 function slideUrl(n){
+  if(__singleDocument) return `#${n}`;
   const nn = String(n).padStart(2,"0");
   return `./page${nn}.html`;
 }
@@ -1212,6 +3898,27 @@ function showSlide(n){
   const p = clamp(n, 1, state.totalSlides);
   window.location.href = slideUrl(p);
 }
+function slideFromHash(){
+  const m = /^#(\d+)$/.exec(window.location.hash);
+  return m ? clamp(parseInt(m[1],10), 1, state.totalSlides) : 1;
+}
+// Single document: show the slide named by the hash
+function enterSlideFromHash(){
+  const n = slideFromHash();
+  state.slide = n;
+  let active = null;
+  document.querySelectorAll(".slide").forEach(el => {
+    const on = parseInt(el.dataset.slide,10) === n;
+    el.classList.toggle("active", on);
+    if(on) active = el;
+  });
+  // only the slides that had a failure-mode picker in their own header
+  const picker = document.querySelector("header .group-picker");
+  if(picker) picker.hidden = !(active && active.hasAttribute("data-group-picker"));
+  setProgressForPage(n);
+  onEnterSlide(n);
+  reportToPresenter();
+}
 function setProgressForPage(n){
   const p = clamp(n, 1, state.totalSlides);
   const nTot = state.totalSlides;
@@ -1229,18 +3936,410 @@ function setProgressForPage(n){
     prevBtn.onclick = () => { if(p>1) showSlide(p-1); };
   }
   if(nextBtn){
-    nextBtn.textContent = (p === nTot) ? "Done" : "Next";
+    nextBtn.textContent = tx(p === nTot ? "Done" : "Next");
     nextBtn.onclick = () => { if(p<nTot) showSlide(p+1); };
   }
 }
-function setupKeyboardNav(n){
+
+/* Overview + go to page
+   O opens a grid of all pages. Each card is the page itself in a
+   scaled-down frame (like the presenter's preview), so it shows the
+   current state; the frames talk to this page as their presenter would
+   (see Presenter sync): their "ready" gives the card title, and the
+   state is sent to them each time the grid opens.
+   Typing a page number goes there from anywhere, grid or not. While
+   another digit could still follow (1 → 10–15) the prompt waits a
+   moment for it; Enter goes at once, Escape cancels. */
+const GOTO_WAIT_MS = 1000;
+const __overview = { el: null, frames: [], returnFocus: null };
+const __goto = { digits: "", timer: null, el: null };
+
+function overviewOpen(){
+  return !!__overview.el && !__overview.el.hidden;
+}
+// Split pages are separate files; the single document is this file again
+function pageFrameUrl(n){
+  return __singleDocument ? `${window.location.href.split(/[?#]/)[0]}#${n}` : slideUrl(n);
+}
+// The framed pages take the state from this window the way they take it
+// from a presenter (setupPresenterSync), so they match it even where
+// localStorage is not available
+function sendStateToFrame(frame, snap=__snapshotState()){
+  try{ frame.contentWindow.postMessage({ channel: PRESENTER_CHANNEL, type: "state", snap }, "*"); }catch(_e){}
+}
+
+function buildOverview(){
+  const el = document.createElement("div");
+  el.className = "overview";
+  el.hidden = true;
+  el.setAttribute("role", "dialog");
+  el.setAttribute("aria-modal", "true");
+  const head = document.createElement("div");
+  head.className = "ov-head";
+  const title = document.createElement("h2");
+  title.id = "overviewTitle";
+  el.setAttribute("aria-labelledby", title.id);
+  const close = document.createElement("button");
+  close.type = "button";
+  close.id = "btnOverviewClose";
+  close.addEventListener("click", closeOverview);
+  head.append(title, close);
+
+  const grid = document.createElement("div");
+  grid.className = "ov-grid";
+  for(let n=1; n<=state.totalSlides; n++){
+    const card = document.createElement("div");
+    card.className = "ov-card";
+    card.dataset.slide = String(n);
+    const thumb = document.createElement("div");
+    thumb.className = "ov-thumb";
+    const frame = document.createElement("iframe");
+    frame.tabIndex = -1;
+    frame.setAttribute("aria-hidden", "true");
+    frame.addEventListener("load", ()=> sendStateToFrame(frame));
+    frame.src = pageFrameUrl(n);
+    thumb.appendChild(frame);
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "ov-title";
+    btn.addEventListener("click", ()=> goToPage(n));
+    card.append(thumb, btn);
+    grid.appendChild(card);
+    __overview.frames.push({ n, frame, btn, title: "" });
+  }
+  el.append(head, grid);
+  el.addEventListener("keydown", onOverviewKey);
+  document.body.appendChild(el);
+  __overview.el = el;
+
+  window.addEventListener("message", (e)=>{
+    const msg = e.data;
+    if(!msg || msg.channel !== PRESENTER_CHANNEL || msg.type !== "ready") return;
+    const f = __overview.frames.find(x => x.frame.contentWindow === e.source);
+    if(!f) return;
+    f.title = String(msg.title || "");
+    renderOverviewCard(f);
+  });
+  window.addEventListener("resize", fitOverviewFrames);
+}
+
+function renderOverviewCard(f){
+  f.btn.textContent = f.title ? `${f.n} · ${f.title}` : tx("Page {n}", { n: f.n });
+  f.btn.parentElement.classList.toggle("current", f.n === state.slide);
+  if(f.n === state.slide) f.btn.setAttribute("aria-current", "page");
+  else f.btn.removeAttribute("aria-current");
+}
+function renderOverview(){
+  setText(document.getElementById("overviewTitle"), tx("Overview"));
+  setText(document.getElementById("btnOverviewClose"), tx("Close"));
+  __overview.frames.forEach(renderOverviewCard);
+}
+function fitOverviewFrames(){
+  if(!overviewOpen()) return;
+  __overview.frames.forEach(({ frame }) => {
+    frame.style.transform = `scale(${frame.parentElement.clientWidth / 1280})`;
+  });
+}
+
+function openOverview(){
+  if(!__overview.el) buildOverview();
+  // frames that are already loaded get the state now, the others when they load
+  saveState();
+  const snap = __snapshotState();
+  __overview.frames.forEach(({ frame }) => sendStateToFrame(frame, snap));
+  __overview.returnFocus = document.activeElement;
+  const app = document.querySelector(".app");
+  if(app) app.inert = true;
+  __overview.el.hidden = false;
+  renderOverview();
+  fitOverviewFrames();
+  const current = __overview.frames.find(f => f.n === state.slide);
+  if(current) current.btn.focus();
+}
+function closeOverview(){
+  if(!overviewOpen()) return;
+  __overview.el.hidden = true;
+  const app = document.querySelector(".app");
+  if(app) app.inert = false;
+  if(__overview.returnFocus && __overview.returnFocus.focus) __overview.returnFocus.focus();
+}
+
+// Arrows walk the cards (up/down by a row), Escape or O closes
+function onOverviewKey(e){
+  if((e.key === "Escape" || e.key === "o" || e.key === "O") && !__goto.digits){
+    e.preventDefault();
+    e.stopPropagation();
+    closeOverview();
+    return;
+  }
+  const cols = getComputedStyle(__overview.el.querySelector(".ov-grid")).gridTemplateColumns.split(" ").filter(Boolean).length || 1;
+  const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -cols, ArrowDown: cols };
+  if(!(e.key in steps)) return;
+  e.preventDefault();
+  e.stopPropagation();
+  const btns = __overview.frames.map(f => f.btn);
+  const i = btns.indexOf(document.activeElement);
+  const next = btns[clamp((i < 0 ? state.slide - 1 : i) + steps[e.key], 0, btns.length - 1)];
+  next.focus();
+}
+
+function goToPage(n){
+  if(!(n >= 1 && n <= state.totalSlides)){
+    showGotoPrompt(tx("No page {n}", { n }));
+    __goto.timer = setTimeout(()=> showGotoPrompt(""), GOTO_WAIT_MS);
+    return;
+  }
+  closeOverview();
+  if(n !== state.slide) showSlide(n);
+}
+
+function showGotoPrompt(text){
+  if(!__goto.el){
+    __goto.el = document.createElement("div");
+    __goto.el.className = "goto-prompt";
+    __goto.el.setAttribute("role", "status");
+    document.body.appendChild(__goto.el);
+  }
+  __goto.el.textContent = text;
+}
+function setGotoDigits(digits){
+  clearTimeout(__goto.timer);
+  __goto.digits = digits;
+  showGotoPrompt(digits ? tx("Go to page {n}…", { n: digits }) : "");
+  if(digits) __goto.timer = setTimeout(finishGoto, GOTO_WAIT_MS);
+}
+function finishGoto(){
+  const n = parseInt(__goto.digits, 10);
+  setGotoDigits("");
+  goToPage(n);
+}
+// Digits, and Enter/Escape/Backspace while a number is being typed;
+// true when the key was used
+function handleGotoKey(e){
+  if(/^[0-9]$/.test(e.key)){
+    const digits = __goto.digits + e.key;
+    // wait while another digit could still name a page
+    if(parseInt(digits, 10) * 10 <= state.totalSlides) setGotoDigits(digits);
+    else{
+      setGotoDigits("");
+      goToPage(parseInt(digits, 10));
+    }
+  }else if(!__goto.digits){
+    return false;
+  }else if(e.key === "Enter") finishGoto();
+  else if(e.key === "Escape") setGotoDigits("");
+  else if(e.key === "Backspace") setGotoDigits(__goto.digits.slice(0, -1));
+  else return false;
+  e.preventDefault();
+  return true;
+}
+
+/* Handout (print / PDF)
+   "Print handout" puts every page on a sheet of its own: the page in a
+   frame, as on an overview card (each page draws its visuals when it
+   boots, so it does not matter which pages were visited), and beside it
+   the inputs that page uses, as they are now. The print dialog opens
+   once all frames have loaded; the sheet layout is in @media print of
+   style.css. */
+const HANDOUT_SETTLE_MS = 400;   // lets the page-load animations finish
+const __handout = { el: null, returnFocus: null };
+
+function handoutOpen(){
+  return !!__handout.el && !__handout.el.hidden;
+}
+
+// Inputs beside each page: [label, value] pairs, or one text for the
+// toggles whose button already reads "Name: ON"
+const HANDOUT_VALUES = {
+  3: () => [
+    [tx("History data"), dataSourceText()],
+    [tx("Now (latest history month)"), state.nowMonth],
+    [tx("Move time forward (months)"), String(state.moveMonths)],
+    [tx("Machines per month (empty = 6-month average)"), state.plan.level === null ? "—" : fmtInt(state.plan.level)],
+    [tx("Trend (machines per month, + or −)"), String(state.plan.trend)],
+    [tx("Seasonal % by calendar month (12 values, Jan → Dec)"), state.plan.seasonal ? state.plan.seasonal.join(", ") : "—"],
+    [tx("Ramp-down before EOL (months)"), String(state.plan.rampDown)],
+    [tx("Plan horizon (months)"), String(state.plan.horizon)],
+    [tx("Monthly plan from next month (comma separated, empty = formula)"), state.plan.manual.length ? state.plan.manual.map(m => m === null ? "" : m).join(", ") : "—"]
+  ],
+  4: () => handoutCurveValues(),
+  5: () => handoutCurveValues().concat(state.presetTitle === "—" ? [] : [[tx("Title:"), displayTitle(state.presetTitle)]]),
+  6: () => handoutCurveValues().concat([calibrationText()]),
+  7: () => [[tx("History window (months)"), String(state.calibWindow)], calibrationText()],
+  8: () => state.cms.length ? state.cms.map((cm, i) => cmLabel(cm, i)) : [tx("No countermeasure")],
+  9: () => [tx(state.eolOn ? "EOL: ON" : "EOL: OFF"), [tx("Set EOL month"), monthIndexToString(state.eolRel)]],
+  10: () => [
+    tx(state.spikeAuto ? "Auto-detect: ON" : "Auto-detect: OFF"),
+    [tx("Spike threshold (robust z)"), state.spikeThreshold.toFixed(1)],
+    [tx("Excluded"), [...state.spikeExcluded].sort((a,b)=>a-b).map(spikeMonthLabel).join(", ") || "—"]
+  ],
+  11: () => [
+    [tx("Example month (card)"), monthIndexToString(clamp(state.outOffset, 0, 17))],
+    [tx("Machines leave the field"), tx(ATTRITION_MODE_LABELS[state.attrition.mode])],
+    tx(state.daily.on ? "Daily line: ON" : "Daily line: OFF"),
+    tx(state.stochastic.on ? "Stochastic: ON" : "Stochastic: OFF")
+  ].concat(state.stochastic.on ? [
+    [tx("Parameter uncertainty (α, β, scale)"), `${Math.round(state.stochastic.paramCv*100)}%`],
+    [tx("Random seed"), String(state.stochastic.seed)]
+  ] : []),
+  14: () => [
+    [tx("Cut-off (first held-out month)"), monthIndexToString(state.backtest.cutoff)],
+    tx(state.backtest.refit ? "Re-fit curve before the cut-off: ON" : "Re-fit curve before the cut-off: OFF")
+  ],
+  15: () => [
+    [tx("Range for α, β, scale, CM effect"), `±${Math.round(state.sensitivity.pct*100)}%`],
+    [tx("Range for CM start and EOL"), tx("±{n} mo", { n: state.sensitivity.shift })]
+  ]
+};
+const ATTRITION_MODE_LABELS = {
+  none: "Never (all stay in service)",
+  life: "After a fixed service life",
+  survival: "Gradually (survival curve)"
+};
+function handoutCurveValues(){
+  const c = DIST_CONTROLS[state.dist];
+  const rows = [[tx("Curve family (lifetime distribution)"), tx(c.label)], [tx(c.alpha), String(state.alpha)]];
+  if(c.beta) rows.push([tx(c.beta.label), fmtBeta(state.beta, state.dist)]);
+  if(state.dist === "mixture"){
+    rows.push([tx("Early failures (share of machines)"), `${Math.round(state.infant.weight*100)}%`]);
+    rows.push([tx("Early lifetime (months)"), String(state.infant.alpha)]);
+    rows.push([tx("Early sharpness (&lt; 1 = falling risk)"), Number(state.infant.beta).toFixed(2)]);
+  }
+  return rows;
+}
+
+function buildHandout(){
+  const make = (cls, tag="div") => {
+    const el = document.createElement(tag);
+    if(cls) el.className = cls;
+    return el;
+  };
+  const el = make("handout");
+  el.setAttribute("role", "dialog");
+  el.setAttribute("aria-modal", "true");
+  el.setAttribute("aria-label", tx("Handout"));
+
+  const when = new Intl.DateTimeFormat((LANGS[state.lang] || LANGS.en).locale, { dateStyle: "medium", timeStyle: "short" }).format(new Date());
+  const gi = Math.max(0, state.groups.findIndex(g => g.id === state.activeGroup));
+  const meta = `${tx("Failure mode: {title}", { title: groupLabel(groupFromState(state.activeGroup), gi) })} · ${when}`;
+
+  const bar = make("ho-bar");
+  const title = make("", "h2");
+  title.textContent = tx("Handout");
+  const status = make("muted", "span");
+  status.setAttribute("aria-live", "polite");
+  const printBtn = make("primary", "button");
+  printBtn.type = "button";
+  printBtn.textContent = tx("Print");
+  printBtn.disabled = true;
+  printBtn.addEventListener("click", ()=> window.print());
+  const closeBtn = make("", "button");
+  closeBtn.type = "button";
+  closeBtn.textContent = tx("Close");
+  closeBtn.addEventListener("click", closeHandout);
+  bar.append(title, status, printBtn, closeBtn);
+  el.appendChild(bar);
+
+  let loaded = 0;
+  const total = state.totalSlides;
+  const progress = () => { status.textContent = tx("Preparing pages: {n} of {total}…", { n: loaded, total }); };
+  progress();
+  for(let n=1; n<=total; n++){
+    const sheet = make("ho-sheet", "section");
+    const box = make("ho-frame");
+    const frame = document.createElement("iframe");
+    frame.tabIndex = -1;
+    frame.setAttribute("aria-hidden", "true");
+    frame.addEventListener("load", ()=>{
+      sendStateToFrame(frame);
+      loaded++;
+      progress();
+      if(loaded === total) setTimeout(()=> handoutReady(status, printBtn), HANDOUT_SETTLE_MS);
+    }, { once: true });
+    frame.src = pageFrameUrl(n);
+    box.appendChild(frame);
+
+    const side = make("ho-side", "aside");
+    const h = make("", "h3");
+    h.textContent = tx("Page {n}", { n });
+    const list = make("ho-values", "ul");
+    (HANDOUT_VALUES[n] ? HANDOUT_VALUES[n]() : []).forEach(v => {
+      const li = document.createElement("li");
+      if(typeof v === "string") li.textContent = v;
+      else{
+        const k = make("k", "span");
+        k.innerHTML = v[0];   // labels are the page's own (translated) HTML
+        const val = make("v", "span");
+        val.textContent = v[1];
+        li.append(k, val);
+      }
+      list.appendChild(li);
+    });
+    const foot = make("ho-meta", "p");
+    foot.textContent = meta;
+    side.append(h, list, foot);
+    sheet.append(box, side);
+    el.appendChild(sheet);
+  }
+
+  el.addEventListener("keydown", (e)=>{
+    if(e.key !== "Escape") return;
+    e.preventDefault();
+    closeHandout();
+  });
+  return el;
+}
+function handoutReady(status, printBtn){
+  // closed, or closed and opened again, while the frames were loading
+  if(!__handout.el || !__handout.el.contains(status)) return;
+  status.textContent = tx("{n} pages ready.", { n: state.totalSlides });
+  printBtn.disabled = false;
+  printBtn.focus();
+  window.print();
+}
+
+function openHandout(){
+  if(handoutOpen()) return;
+  closeOverview();
+  // each frame is sent the state when it loads (buildHandout)
+  saveState();
+  if(__handout.el) __handout.el.remove();
+  __handout.el = buildHandout();
+  __handout.returnFocus = document.activeElement;
+  document.body.appendChild(__handout.el);
+  document.body.classList.add("handout-open");
+  const app = document.querySelector(".app");
+  if(app) app.inert = true;
+  __handout.el.querySelector("button:last-child").focus();
+}
+function closeHandout(){
+  if(!handoutOpen()) return;
+  // dropped, not hidden: the next handout is drawn with the state of then
+  __handout.el.remove();
+  __handout.el = null;
+  document.body.classList.remove("handout-open");
+  const app = document.querySelector(".app");
+  if(app) app.inert = false;
+  if(__handout.returnFocus && __handout.returnFocus.focus) __handout.returnFocus.focus();
+}
+const btnHandoutEl = document.getElementById("btnHandout");
+if(btnHandoutEl) btnHandoutEl.addEventListener("click", openHandout);
+
+function setupKeyboardNav(){
   window.addEventListener("keydown", (e)=>{
+    const n = state.slide;
+    // the handout has its own keys
+    if(handoutOpen()) return;
+    const typing = isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey;
+    if(!typing && handleGotoKey(e)) return;
+    // the overview has its own keys (onOverviewKey)
+    if(overviewOpen()) return;
     if(e.key === "ArrowLeft" && n>1) showSlide(n-1);
     if(e.key === "ArrowRight" && n<state.totalSlides) showSlide(n+1);
-    if(/^[1-9]$/.test(e.key)){
-      const k = parseInt(e.key,10);
-      if(k <= state.totalSlides) showSlide(k);
-    }
+    if((e.key === "o" || e.key === "O") && !typing) openOverview();
+    // not from inside the presenter view or its audience window, and not
+    // from the single-file deck (it has no presenter.html next to it)
+    if((e.key === "p" || e.key === "P") && !isTypingTarget(e.target) && !presenterPeer() && !__singleDocument) openPresenterView(n);
   });
 }
 
@@ -1249,11 +4348,35 @@ function bootPresentationPage(pageNumber){
   state.slide = pageNumber;
 
   setProgressForPage(pageNumber);
-  setupKeyboardNav(pageNumber);
+  setupKeyboardNav();
+  setupCopyLink();
+  setupPresenterSync();
 
   applyStateToControls();
+  renderGroupSelect();
   __attachAutoSave();
 
   onEnterSlide(pageNumber);
+  renderStateLoadReports();
+  reportToPresenter();
+  saveStateDebounced();
+}
+
+function bootSingleDocument(){
+  __singleDocument = true;
+  loadState();
+  state.slide = slideFromHash();
+
+  setupKeyboardNav();
+  setupCopyLink();
+
+  applyStateToControls();
+  renderGroupSelect();
+  __attachAutoSave();
+
+  setupPresenterSync();
+  window.addEventListener("hashchange", enterSlideFromHash);
+  enterSlideFromHash();
+  renderStateLoadReports();
   saveStateDebounced();
 }
@@ -0,0 +1,583 @@
+/* ---------------------------
+   Japanese text (I18N_JA)
+   ---------------------------
+   English text -> Japanese, read by tx() and translatePage() in common.js
+   (section "Language"), and by tx() and translatePresenter() in
+   presenter.js. Page copy is keyed by the HTML of its data-i18n element
+   with whitespace collapsed, so inline tags (<b>, <code>) are part of the
+   key and of the translation. Text built in common.js is keyed by its
+   English message, {name} placeholders included. A text without an entry
+   shows in English.
+
+   Browser: a classic script loaded after model.js and before common.js
+   (in presenter.html, before presenter.js).
+*/
+const I18N_JA = {
+  /* Header + footer (every page) */
+  "Complaint Prediction Model — Simple Walkthrough": "クレーム予測モデル — かんたん解説",
+  "Deterministic version only (no randomness).": "決定論版のみ（ランダム性なし）。",
+  "Failure mode": "故障モード",
+  "Failure mode shown on this page": "このページに表示する故障モード",
+  "Back": "戻る",
+  "Next": "次へ",
+  "Done": "完了",
+  "Copy link": "リンクをコピー",
+  "Print handout": "配布資料を印刷",
+  "Every page on its own sheet with the current settings, for printing or saving as PDF": "現在の設定で全ページを 1 枚ずつ並べます（印刷・PDF 保存用）",
+  "Copy a link that opens this page with the current settings": "現在の設定でこのページを開くリンクをコピー",
+  "Copy this link:": "このリンクをコピーしてください：",
+  "Link copied": "リンクをコピーしました",
+  "Navigate:": "移動：",
+  "Jump:": "ジャンプ：",
+  "Presenter:": "発表者ビュー：",
+  "Overview:": "一覧：",
+  "Visual": "図解",
+
+  /* Page 1 */
+  "Page 1": "ページ 1",
+  "What is this model trying to do?": "このモデルは何をするのか？",
+  "Use past data to estimate <b>future complaint counts</b> by month.": "過去のデータから、月ごとの<b>将来のクレーム件数</b>を推定します。",
+  "Update: Page 1 now includes a visible test banner.": "更新：ページ 1 にテスト用バナーを表示しています。",
+  "Idea: extend “past → future” with a forecast, then adjust for known changes.": "考え方：「過去 → 未来」を予測で延ばし、わかっている変化で補正します。",
+  "This presentation uses a toy example to demonstrate the logic. The real model runs the same steps on real data.": "この資料は架空の例で仕組みを説明します。実際のモデルは実データで同じ手順を実行します。",
+  "Past": "過去",
+  "Future": "未来",
+  "Forecast extends from past into the future": "予測は過去から未来へ延びる",
+  "The shaded region is “future months we want to predict”.": "網掛け部分が「予測したい将来の月」です。",
+  "Today": "今日",
+  "Past to future forecast timeline": "過去から未来への予測タイムライン",
+
+  /* Page 2 */
+  "Page 2": "ページ 2",
+  "Three inputs drive the prediction": "予測を決める 3 つの入力",
+  "Think of the model as a machine with three inputs and one output.": "モデルを「入力 3 つ、出力 1 つ」の機械と考えてください。",
+  "1) History": "1) 実績",
+  "Past complaints and machine counts by month": "月ごとの過去のクレーム件数と台数",
+  "This anchors the model to what actually happened.": "実際に起きたことにモデルを合わせます。",
+  "2) Aging curve": "2) 経年カーブ",
+  "How risk changes as machines get older": "装置が古くなるにつれてリスクがどう変わるか",
+  "Same idea as “wear out” patterns.": "「摩耗」のパターンと同じ考え方です。",
+  "3) Countermeasures": "3) 対策",
+  "Start date and effectiveness": "開始日と効果",
+  "After the start date, new machines contribute less.": "開始日以降、新しい装置の寄与が小さくなります。",
+  "Click each box to reveal the one-sentence meaning.": "各ボックスをクリックすると一言の説明が出ます。",
+  "Inputs": "入力",
+  "Prediction": "予測",
+  "History": "実績",
+  "complaints + machines": "クレーム + 台数",
+  "Aging curve": "経年カーブ",
+  "risk vs age": "経過月数とリスク",
+  "Countermeasures": "対策",
+  "start date + effect": "開始日 + 効果",
+  "future complaint counts (monthly)": "将来のクレーム件数（月次）",
+  "Three inputs feeding into one prediction": "3 つの入力から 1 つの予測へ",
+
+  /* Page 3 */
+  "Page 3": "ページ 3",
+  "Cohorts: machines made in the same month": "コホート：同じ月に作られた装置",
+  "The model groups machines by <b>manufacturing month</b>. Each month is a “cohort”.": "モデルは装置を<b>製造月</b>ごとにまとめます。各月が 1 つの「コホート」です。",
+  "We track each cohort’s <b>age</b> so we can look up its risk from the risk profile (explained next).": "各コホートの<b>経過月数</b>を追い、リスクプロファイル（次で説明）からリスクを読み取ります。",
+  "<b>Interactive</b>: move time forward to see how age is the input into the risk profile.": "<b>操作</b>：時間を進めると、経過月数がリスクプロファイルの入力になる様子がわかります。",
+  "Move time forward (months)": "時間を進める（月）",
+  "Now (latest history month)": "現在（実績の最終月）",
+  "History data": "実績データ",
+  "Use toy data": "架空データを使う",
+  "CSV columns: <b>month</b> (YYYY-MM), <b>production</b>, <b>complaints</b>. You can also drop the file on the chart. With a CSV loaded, “now” is its last month.": "CSV の列：<b>month</b>（YYYY-MM）、<b>production</b>、<b>complaints</b>。ファイルはグラフにドロップすることもできます。CSV を読み込むと、その最終月が「現在」になります。",
+  "Production plan (future bars) — 6-month average:": "生産計画（将来の棒）— 直近 6 か月平均：",
+  "Machines per month (empty = 6-month average)": "月あたり台数（空欄 = 6 か月平均）",
+  "Trend (machines per month, + or −)": "トレンド（月あたり台数の増減、+ または −）",
+  "Seasonal % by calendar month (12 values, Jan → Dec)": "暦月ごとの季節変動 %（12 個、1 月 → 12 月）",
+  "Ramp-down before EOL (months)": "EOL 前の減産期間（月）",
+  "Plan horizon (months)": "計画期間（月）",
+  "Monthly plan from next month (comma separated, empty = formula)": "来月からの月別計画（カンマ区切り、空欄 = 計算式）",
+  "Every forecast page (8, 9, 11) uses this plan. Entered months are outlined in yellow; the ramp-down only applies when EOL is on (Page 9).": "すべての予測ページ（8、9、11）がこの計画を使います。入力した月は黄色の枠で示します。減産は EOL がオンのとき（ページ 9）だけ適用されます。",
+  "Cohorts": "コホート",
+  "Age": "経過月数",
+  "Cohorts age as time moves forward": "時間が進むとコホートは古くなる",
+  "Bars = machines made each month. The NOW line moves as months pass.": "棒 = 各月に作られた台数。月が進むと NOW の線が動きます。",
+  "Older": "古い",
+  "average": "平均",
+  "Cohorts on a timeline": "タイムライン上のコホート",
+
+  /* Page 4 */
+  "Page 4": "ページ 4",
+  "Aging risk: chance changes with age": "経年リスク：経過月数で確率が変わる",
+  "The model uses an <b>age → risk</b> curve.": "モデルは<b>経過月数 → リスク</b>のカーブを使います。",
+  "We do not need formulas. The only idea: a cohort’s age sets its risk this month.": "数式は不要です。考え方は 1 つだけ：コホートの経過月数が今月のリスクを決めます。",
+  "Select an age (months)": "経過月数を選ぶ（月）",
+  "Next: you will see the two “knobs” that define the curve shape.": "次は、カーブの形を決める 2 つの「つまみ」です。",
+  "Risk curve": "リスクカーブ",
+  "Selected age": "選んだ経過月数",
+  "Risk changes with age": "リスクは経過月数で変わる",
+  "Dot shows the risk used for a specific cohort age.": "点は、あるコホートの経過月数で使うリスクを示します。",
+  "Age (months)": "経過月数（月）",
+  "Risk": "リスク",
+  "Risk curve with moving dot": "動く点つきのリスクカーブ",
+
+  /* Page 5 */
+  "Page 5": "ページ 5",
+  "Two knobs define the curve shape": "2 つのつまみでカーブの形が決まる",
+  "The curve is defined by two parameters (commonly called α and β).": "カーブは 2 つのパラメータ（一般に α と β）で決まります。",
+  "Curve family (lifetime distribution)": "カーブの種類（寿命分布）",
+  "<b>Typical lifetime</b> (α): where most failures tend to happen": "<b>代表的な寿命</b>（α）：故障が最も起きやすい時期",
+  "<b>Sharpness</b> (β): how quickly risk rises with age": "<b>鋭さ</b>（β）：経過月数とともにリスクが上がる速さ",
+  "Other curve families reuse the same two sliders (each slider shows what it means). Exponential has one knob: risk is the same at every age. Bathtub adds early failures on top of the wear-out curve.": "他のカーブも同じ 2 つのスライダーを使います（意味は各スライダーに表示）。指数分布はつまみが 1 つで、リスクはどの経過月数でも同じです。バスタブは摩耗カーブに初期故障を加えます。",
+  "Early failures (share of machines)": "初期故障（台数に占める割合）",
+  "Early lifetime (months)": "初期故障の寿命（月）",
+  "Early sharpness (&lt; 1 = falling risk)": "初期故障の鋭さ（&lt; 1 = リスクが下がる）",
+  "Defaults": "既定値",
+  "Young machines only": "新しい装置のみ",
+  "Middle machines only": "中間の装置のみ",
+  "Old machines only": "古い装置のみ",
+  "From history": "実績から",
+  "Fit α, β to history": "実績に α、β を当てはめる",
+  "Goodness of fit — log-likelihood:": "当てはまりの良さ — 対数尤度：",
+  "■ observed": "■ 実績",
+  "● fitted": "● 当てはめ",
+  "Title:": "タイトル：",
+  "Failure mode name (cause / L6)": "故障モード名（原因 / L6）",
+  "e.g. レーザー出力_機能しない": "例：レーザー出力_機能しない",
+  "Add failure mode": "故障モードを追加",
+  "Remove": "削除",
+  "We will reuse these same settings in later pages (counts, countermeasures, EOL). Each failure mode keeps its own curve, scale and countermeasure; Page 11 stacks them.": "この設定は後のページ（件数、対策、EOL）でも使います。故障モードごとにカーブ、スケール、対策を持ち、ページ 11 で積み上げます。",
+  "Curve changes live": "カーブがすぐに変わる",
+  "Adjust the curve shape": "カーブの形を調整する",
+  "This is the “aging curve” used to compute expected counts.": "これが期待件数の計算に使う「経年カーブ」です。",
+  "dashed = previous": "破線 = 変更前",
+  "Observed vs fitted monthly complaints": "月次クレーム件数の実績と当てはめ",
+  "Risk curve controlled by alpha and beta sliders": "α・β スライダーで動くリスクカーブ",
+
+  /* Page 6 */
+  "Page 6": "ページ 6",
+  "From risk to expected complaint counts": "リスクから期待クレーム件数へ",
+  "For a target month, the model adds up contributions from every cohort:": "対象月について、モデルはすべてのコホートの寄与を足し合わせます：",
+  "<b>Expected complaints</b> = Σ (machines in cohort × risk at that cohort’s age)": "<b>期待クレーム件数</b> = Σ（コホートの台数 × そのコホートの経過月数でのリスク）",
+  "Adjust the risk profile to see complaints update in real time.": "リスクプロファイルを動かすと、クレーム件数がすぐに更新されます。",
+  "Typical lifetime (α, months)": "代表的な寿命（α、月）",
+  "Sharpness (β)": "鋭さ（β）",
+  "Complaints update live": "クレーム件数がすぐに更新される",
+  "Risk profile": "リスクプロファイル",
+  "Complaints respond to the risk profile": "クレーム件数はリスクプロファイルに反応する",
+  "Top chart = expected complaints next 24 months. Bottom = risk profile.": "上のグラフ = 今後 24 か月の期待クレーム件数。下 = リスクプロファイル。",
+  "Months ahead": "何か月先",
+  "Complaints": "クレーム件数",
+  "Expected complaints and risk curve": "期待クレーム件数とリスクカーブ",
+
+  /* Page 7 */
+  "Page 7": "ページ 7",
+  "Calibration: match the level to reality": "キャリブレーション：水準を実績に合わせる",
+  "The curve shape is useful, but the model also scales it to match observed history.": "カーブの形は役に立ちますが、モデルはさらに実績に合うよう倍率を掛けます。",
+  "This prevents a “pure theory curve” from being too high or too low.": "これで「理論だけのカーブ」が高すぎたり低すぎたりするのを防ぎます。",
+  "History window (months)": "実績の期間（月）",
+  "Calibrate": "キャリブレーション",
+  "Reset": "リセット",
+  "Scale = observed complaints ÷ model (at scale 1) over the window. Months marked as spikes on Page 10 are left out. Pages 6, 8, 9 and 11 use this scale.": "スケール = 期間内の実績クレーム件数 ÷ モデル値（スケール 1）。ページ 10 でスパイクとした月は除きます。ページ 6、8、9、11 がこのスケールを使います。",
+  "Before": "補正前",
+  "After": "補正後",
+  "Scale the prediction level to match recent history": "予測の水準を直近の実績に合わせる",
+  "Bars = observed history. Dashed = model before scaling; solid = after.": "棒 = 実績。破線 = 補正前のモデル、実線 = 補正後。",
+  "- - Before scaling": "- - 補正前",
+  "— After scaling": "— 補正後",
+  "History month": "実績の月",
+  "Calibration alignment bars": "キャリブレーションの比較棒グラフ",
+
+  /* Page 8 */
+  "Page 8": "ページ 8",
+  "Countermeasures: reduce after a start date": "対策：開始日以降に減らす",
+  "If a countermeasure starts on a date, machines made after that date contribute less.": "対策がある日に始まると、その日以降に作られた装置の寄与が小さくなります。",
+  "In the real model, this uses the configured CM start date and an effectiveness factor. A <b>field retrofit</b> instead fixes machines already shipped, from its start month on. Several CMs combine: each removes its share of the remaining risk.": "実際のモデルでは、設定した対策の開始日と効果係数を使います。<b>市場改修</b>は、開始月から出荷済みの装置を直します。対策が複数あるときは、それぞれが残りのリスクから自分の分を取り除きます。",
+  "Add CM": "対策を追加",
+  "Type": "種類",
+  "Production cut-in (new machines)": "生産切替（新しい装置）",
+  "Field retrofit (shipped machines)": "市場改修（出荷済みの装置）",
+  "Start month": "開始月",
+  "Effect after CM (remaining risk %)": "対策後の効果（残るリスク %）",
+  "Phase-in (months)": "段階導入（月）",
+  "Drag the vertical line in the chart to move the selected CM start date.": "グラフの縦線をドラッグすると、選んだ対策の開始日を動かせます。",
+  "Back to Page 6": "ページ 6 に戻る",
+  "CM start": "対策開始",
+  "Forecast changes": "予測が変わる",
+  "After CM start, new cohorts contribute less": "対策開始後、新しいコホートの寄与が小さくなる",
+  "Drag the line: earlier CM → lower forecast (all else equal).": "線をドラッグ：対策が早いほど予測は下がります（他の条件が同じなら）。",
+  "Countermeasure to edit": "編集する対策",
+  "CM start month": "対策開始月",
+  "Countermeasure start date line": "対策開始日の線",
+
+  /* Page 9 */
+  "Page 9": "ページ 9",
+  "Production forecast and EOL (end of life)": "生産予測と EOL（生産終了）",
+  "Future months need future machines.": "将来の月には将来の装置が必要です。",
+  "If production continues, future cohorts are added (e.g., using recent average production).": "生産が続く限り、将来のコホートを追加します（例：直近の平均生産台数を使う）。",
+  "If EOL is defined, new cohorts stop after the EOL date.": "EOL を設定すると、EOL 日以降は新しいコホートが止まります。",
+  "Click a bar to move the EOL gate.": "棒をクリックすると EOL のゲートを動かせます。",
+  "EOL month:": "EOL 月：",
+  "Set EOL month": "EOL 月を設定",
+  "This only affects future cohorts. Older cohorts still exist and still contribute risk.": "影響するのは将来のコホートだけです。古いコホートは残り、リスクにも寄与し続けます。",
+  "New cohorts": "新しいコホート",
+  "EOL gate": "EOL ゲート",
+  "Future cohorts: keep adding, unless EOL stops them": "将来のコホート：EOL で止まるまで追加し続ける",
+  "EOL ON: the “gate” closes and no new cohorts are added after that month.": "EOL オン：「ゲート」が閉じ、その月以降は新しいコホートが追加されません。",
+  "Time →": "時間 →",
+  "EOL stopping future cohorts": "EOL で将来のコホートが止まる",
+
+  /* Page 10 */
+  "Page 10": "ページ 10",
+  "Near-term correction: ignore a one-off spike": "直近の補正：一時的なスパイクを無視する",
+  "The model compares the first forecast month to recent history.": "モデルは予測の最初の月を直近の実績と比べます。",
+  "If there is a single abnormal spike, it should not dominate the “recent average”.": "1 か月だけ異常なスパイクがあっても、「直近の平均」を左右させるべきではありません。",
+  "Mini-game: click the obvious spike month to exclude it from the recent average.": "ミニゲーム：明らかなスパイクの月をクリックして、直近の平均から除外してください。",
+  "Spike threshold (robust z)": "スパイクのしきい値（ロバスト z）",
+  "Dashed rings mark months the detector flags (robust z from median and MAD). Auto-detect ON pre-selects them; click any point to override.": "破線の輪は検出器が示した月です（中央値と MAD によるロバスト z）。自動検出がオンだと最初から選ばれます。どの点もクリックで変更できます。",
+  "Recent months": "直近の月",
+  "Spike filter": "スパイクの除外",
+  "Recent history can contain a spike": "直近の実績にはスパイクが含まれることがある",
+  "Click a point to mark it as “spike” (excluded from recent average).": "点をクリックすると「スパイク」として印をつけます（直近の平均から除外）。",
+  "avg": "平均",
+  "Spike identification on recent history": "直近の実績でのスパイクの判定",
+
+  /* Page 11 */
+  "Page 11": "ページ 11",
+  "What the output means": "出力の意味",
+  "The output is a monthly series for each target group (e.g., cause/L6).": "出力は対象グループ（例：原因 / L6）ごとの月次系列です。",
+  "<b>Predicted complaints</b> (monthly)": "<b>予測クレーム件数</b>（月次）",
+  "<b>Machines in field</b> (by cohort aging + production forecast, minus retired machines)": "<b>市場稼働台数</b>（コホートの経年 + 生産予測、退役台数を除く）",
+  "<b>Implied failure rate</b> (from the aging curve + scaling)": "<b>推定故障率</b>（経年カーブ + スケールから）",
+  "Some systems also prorate monthly to daily, but the core forecast is monthly. The daily line splits each month over its days (own scale).": "月次を日次に按分するシステムもありますが、予測の中心は月次です。日次の線は各月をその日数に分けたものです（目盛りは別）。",
+  "Example month (card)": "例の月（カード）",
+  "Export CSV": "CSV を出力",
+  "Export JSON": "JSON を出力",
+  "Export assumptions CSV": "前提条件 CSV を出力",
+  "Machines leave the field": "市場からの退役",
+  "Never (all stay in service)": "なし（すべて稼働を続ける）",
+  "After a fixed service life": "一定の使用期間の後",
+  "Gradually (survival curve)": "徐々に（残存曲線）",
+  "Service life (months)": "使用期間（月）",
+  "Typical time in service (months)": "代表的な稼働期間（月）",
+  "Survival shape (1 = same share leaves every month)": "残存曲線の形（1 = 毎月同じ割合が退役）",
+  "Retired machines (scrapped, replaced or off contract) stop counting in the field and stop complaining, on every forecast page.": "退役した装置（廃棄、入替、契約終了）は、すべての予測ページで稼働台数から外れ、クレームも出しません。",
+  "Prorate by": "按分の方法",
+  "Calendar days (flat)": "暦日（均等）",
+  "Working days (Mon–Fri, minus holidays)": "営業日（月〜金、祝日を除く）",
+  "Holidays (YYYY-MM-DD, comma separated)": "祝日（YYYY-MM-DD、カンマ区切り）",
+  "Export daily CSV": "日次 CSV を出力",
+  "Save current settings as a scenario": "現在の設定をシナリオとして保存",
+  "e.g. CM 3 months earlier": "例：対策を 3 か月前倒し",
+  "Save scenario": "シナリオを保存",
+  "Ticked scenarios are overlaid (dashed) on Pages 8, 9 and 11. Load makes a scenario the live settings.": "チェックしたシナリオはページ 8、9、11 に破線で重ねて表示されます。「読込」でシナリオを現在の設定にします。",
+  "Random seed": "乱数シード",
+  "Parameter uncertainty (α, β, scale)": "パラメータの不確かさ（α、β、スケール）",
+  "Stochastic mode samples monthly counts (Poisson) and jitters α, β and scale, then shades the P10–P90 range on the forecasts (Pages 8, 9, 11). Same seed → same bands.": "確率モードは月次件数をポアソン分布で抽出し、α、β、スケールを揺らして、予測（ページ 8、9、11）に P10–P90 の範囲を網掛けします。同じシード → 同じ帯。",
+  "Example month": "例の月",
+  "Series": "系列",
+  "Output is a monthly series": "出力は月次系列",
+  "Example card shows one month; the line shows the series.": "カードは 1 か月分、線は系列全体を示します。",
+  "Predicted complaints": "予測クレーム件数",
+  "Machines in field": "市場稼働台数",
+  "Implied failure rate": "推定故障率",
+  "Example output card and series": "出力カードと系列の例",
+
+  /* Page 12 */
+  "Page 12": "ページ 12",
+  "Limits (short but explicit)": "限界（簡潔に、はっきりと）",
+  "Predictions can be wrong for simple reasons:": "予測は単純な理由で外れることがあります：",
+  "<b>Thin or biased history</b> → weak forecast": "<b>実績が少ない・偏っている</b> → 予測が弱い",
+  "<b>Wrong CM dates / effects</b> → wrong result": "<b>対策の日付・効果の誤り</b> → 結果も誤る",
+  "<b>Future differs from past</b> in ways not modeled": "<b>未来が過去と違う</b>（モデルにない形で）",
+  "The model is most useful when used as a decision aid: compare scenarios (CM earlier/later, EOL yes/no).": "モデルは判断の補助として使うときに最も役立ちます：シナリオを比べてください（対策の前倒し・後ろ倒し、EOL の有無）。",
+  "Three failure modes": "3 つの外れ方",
+  "Where forecasts usually fail": "予測がよく外れるところ",
+  "Keep these in mind when interpreting results.": "結果を読むときはこれらを念頭に置いてください。",
+  "Data quality": "データの質",
+  "Missing / mis-coded": "欠損・誤分類された",
+  "complaints or machine": "クレーム件数や台数が",
+  "counts shift the result.": "結果をずらす。",
+  "CM settings": "対策の設定",
+  "Wrong start date or": "開始日や効果の",
+  "effect size makes the": "大きさを誤ると",
+  "scenario misleading.": "シナリオを見誤る。",
+  "Future shift": "将来の変化",
+  "New usage patterns,": "使い方の変化や",
+  "supplier changes, etc.": "部品メーカーの変更などで",
+  "can break assumptions.": "前提が崩れうる。",
+  "Three limit icons": "3 つの限界のアイコン",
+
+  /* Page 13 */
+  "Page 13": "ページ 13",
+  "Recap (single screen)": "まとめ（1 画面）",
+  "The model estimates complaints by combining: <b>machines by age</b> × <b>age-based risk curve</b>, then adjusting for <b>calibration</b>, <b>countermeasures</b>, and <b>EOL / production</b>.": "モデルは<b>経過月数別の台数</b> × <b>経過月数によるリスクカーブ</b>でクレーム件数を推定し、<b>キャリブレーション</b>、<b>対策</b>、<b>EOL / 生産</b>で補正します。",
+  "Use this to compare scenarios (CM earlier/later, EOL yes/no), not as a “perfect oracle”.": "「完璧な予言」としてではなく、シナリオの比較（対策の前倒し・後ろ倒し、EOL の有無）に使ってください。",
+  "To hand the deck out as a single file, run <code>node cli/build-deck.js</code>: it writes <code>dist/complaint-deck.html</code>, every page in one HTML file with the styles and scripts inside.": "資料を 1 ファイルで配るには <code>node cli/build-deck.js</code> を実行します。<code>dist/complaint-deck.html</code> に、スタイルとスクリプトを含めた全ページが 1 つの HTML ファイルとして書き出されます。",
+  "Download state (.json)": "状態をダウンロード（.json）",
+  "Load a saved state file": "保存した状態ファイルを読み込む",
+  "The file holds every setting, failure mode, scenario and imported history. Files saved by older versions of the deck are upgraded when loaded.": "ファイルにはすべての設定、故障モード、シナリオ、取り込んだ実績が入ります。古い版で保存したファイルは読み込み時に更新されます。",
+  "End-to-end flow": "全体の流れ",
+  "Pipeline summary": "処理の要約",
+  "Inputs → transforms → outputs (deterministic).": "入力 → 変換 → 出力（決定論的）。",
+  "risk vs age (α, β)": "経過月数とリスク（α、β）",
+  "Prediction (monthly)": "予測（月次）",
+  "machines by cohort age": "コホートの経過月数別の台数",
+  "× risk curve (scaled to history)": "× リスクカーブ（実績に合わせて補正）",
+  "adjust CM + EOL/production": "対策 + EOL / 生産で調整",
+  "Condensed flow diagram": "流れの簡略図",
+
+  /* Page 14 */
+  "Page 14 · Appendix": "ページ 14 · 付録",
+  "Backtest: how good would it have been?": "バックテスト：どれくらい当たっていたか？",
+  "Pick a past month as the cut-off. The model only sees the history before it, forecasts the months after it, and we compare with what actually happened.": "過去の月を区切りに選びます。モデルはそれより前の実績だけを見て後の月を予測し、実際の結果と比べます。",
+  "<b>Level</b> is recalibrated on the months before the cut-off (window from Page 7, spikes from Page 10 left out)": "<b>水準</b>は区切りより前の月で再キャリブレーションします（期間はページ 7、ページ 10 のスパイクは除外）",
+  "<b>Production</b> after the cut-off comes from the production plan, not from the real numbers": "区切り以降の<b>生産</b>は、実績ではなく生産計画の値を使います",
+  "<b>Countermeasures and EOL</b> keep their calendar months": "<b>対策と EOL</b> は暦月をそのまま使います",
+  "Cut-off (first held-out month)": "区切り（検証に回す最初の月）",
+  "<b>MAE</b>: average miss in complaints per month. <b>MAPE</b>: average miss as a % of the actual count. <b>Bias</b>: average of forecast − actual (positive = the model forecasts too many). Each horizon scores the first 3, 6 or 12 months after the cut-off.": "<b>MAE</b>：月あたりのクレーム件数の平均誤差。<b>MAPE</b>：実績件数に対する平均誤差の割合。<b>バイアス</b>：予測 − 実績の平均（正 = 予測が多すぎる）。各期間は区切り後の最初の 3、6、12 か月を評価します。",
+  "Actual vs predicted": "実績と予測",
+  "Forecast from the cut-off vs actuals": "区切りからの予測と実績",
+  "Bars = actual complaints. Dashed = fit before the cut-off; solid = forecast after it.": "棒 = 実績のクレーム件数。破線 = 区切り前の当てはめ、実線 = 区切り後の予測。",
+  "Actual monthly complaints against the backtest forecast": "月次の実績クレーム件数とバックテストの予測",
+
+  /* Page 15 */
+  "Page 15 · Appendix": "ページ 15 · 付録",
+  "Sensitivity: which input matters most?": "感度：どの入力が最も効くか？",
+  "Each input is moved down and up on its own while everything else stays as set. The bars show how far the 24-month total of predicted complaints moves.": "他はそのままで、入力を 1 つずつ下げたり上げたりします。棒は、24 か月の予測クレーム件数の合計がどれだけ動くかを示します。",
+  "<b>α, β, scale and CM remaining risk</b> move by ± a share of their current value": "<b>α、β、スケール、対策後の残るリスク</b>は現在値の ± 一定割合だけ動かします",
+  "<b>CM start</b> (the CM selected on Page 8) and <b>EOL month</b> move by ± some months": "<b>対策開始</b>（ページ 8 で選んだ対策）と <b>EOL 月</b>は ± 数か月動かします",
+  "The longest bar is at the top: that input deserves the most care": "最も長い棒が一番上です：その入力に最も注意を払うべきです",
+  "Range for α, β, scale, CM effect": "α、β、スケール、対策効果の幅",
+  "Range for CM start and EOL": "対策開始と EOL の幅",
+  "Blue = total with the input at its low value, green = at its high value. The inputs are not combined: two inputs moving together can move the total more than either bar.": "青 = 入力を低い値にしたときの合計、緑 = 高い値にしたとき。入力は組み合わせていません：2 つの入力が同時に動くと、どちらの棒よりも合計が大きく動くことがあります。",
+  "Tornado": "トルネード",
+  "24 months": "24 か月",
+  "24-month total when one input moves": "入力を 1 つ動かしたときの 24 か月合計",
+  "Ranked by impact. The line is the total with the current settings.": "影響の大きい順。線は現在の設定での合計です。",
+  "Tornado chart of the 24-month total for each input at its low and high value": "各入力を低い値・高い値にしたときの 24 か月合計のトルネード図",
+
+  /* Speaker notes (aside.notes, shown in the presenter view) */
+  "Goal: a monthly forecast of complaints, built only from past data.": "目的：過去のデータだけから、クレーム件数の月次予測を作ること。",
+  "Left of the line is history, right of it is the forecast. Everything else in the deck explains how we get from one to the other.": "線の左が実績、右が予測です。資料の残りは、左から右へどうつなぐかの説明です。",
+  "No randomness in the main story; uncertainty comes back as an option on Page 11.": "本筋にランダム性はありません。不確かさはページ 11 のオプションとして扱います。",
+  "Three inputs: history, the aging curve, countermeasures. One output: complaints per month.": "入力は実績・経年カーブ・対策の 3 つ。出力は月ごとのクレーム件数の 1 つです。",
+  "Tap the boxes so the room sees each input light up. Ask which input they trust least.": "ボックスをタップして各入力を光らせて見せます。一番信頼できない入力はどれか聞いてみましょう。",
+  "A cohort is all machines made in the same month; they age together.": "コホートとは同じ月に生産された機械の集まりで、一緒に年を取ります。",
+  "Move the slider to show the whole fleet getting older. Mention the production plan below: future cohorts come from it.": "スライダーを動かして、市場の機械全体が古くなる様子を見せます。下の生産計画にも触れてください。将来のコホートはそこから作られます。",
+  "If someone asks about real data: the CSV import replaces the toy numbers.": "実データについて聞かれたら：CSV を読み込むと架空の数値が置き換わります。",
+  "One idea only: a cohort's age sets its risk this month.": "伝えることは 1 つだけ：コホートの経過月数が、その月のリスクを決めます。",
+  "Pick a young and an old age to contrast. No formulas needed.": "若い月齢と古い月齢を選んで比べます。式は不要です。",
+  "α moves the peak later, β makes it sharper. That is all the curve needs.": "α はピークを遅らせ、β はピークを鋭くします。カーブに必要なのはこれだけです。",
+  "Try a preset, then the fit button: the curve is chosen to match the history, not guessed.": "プリセットを試してから当てはめボタンを押します。カーブは推測ではなく、実績に合うように選ばれます。",
+  "Other curve families exist for the specialists; Weibull is the default.": "専門家向けに他の分布もありますが、既定はワイブルです。",
+  "Expected complaints = machines in each cohort × risk at its age, added up.": "期待クレーム件数 = 各コホートの台数 × その月齢のリスク、の合計。",
+  "Point at one cohort's contribution, then at the total.": "まず 1 つのコホートの寄与を指し、次に合計を指します。",
+  "The curve gives the shape; calibration sets the level.": "カーブが形を決め、キャリブレーションが水準を決めます。",
+  "Scale = actual ÷ model over the recent window. Show Calibrate, then Reset.": "スケール = 直近期間の実績 ÷ モデル。キャリブレーションを実行し、次にリセットを見せます。",
+  "A short window reacts fast but is noisy.": "期間が短いと反応は速いものの、ばらつきが大きくなります。",
+  "A countermeasure cuts risk for machines made after its start date.": "対策は、開始日以降に生産された機械のリスクを下げます。",
+  "Drag the line: earlier start, fewer complaints. This is the slide for the 'what if we fix it sooner' discussion.": "線をドラッグします：開始が早いほどクレームは減ります。「もっと早く直していたら」の議論はこのスライドで。",
+  "Retrofits act on machines already in the field, with a phase-in.": "レトロフィットは市場にある機械に、段階的に効きます。",
+  "No production after EOL means no new cohorts: the forecast bends down later.": "EOL 後は生産がないので新しいコホートも増えず、予測は後で下向きに曲がります。",
+  "Toggle EOL and drag the month. Production before EOL comes from the plan on Page 3.": "EOL を切り替えて月をドラッグします。EOL までの生産はページ 3 の計画から来ます。",
+  "One abnormal month should not drive the recent average.": "異常な 1 か月が直近の平均を左右してはいけません。",
+  "Let someone click the spike. Auto-detect does the same with a robust z-score.": "誰かにスパイクをクリックしてもらいます。自動検出はロバスト z スコアで同じことをします。",
+  "The deliverable: monthly complaints, machines in field, implied rate, per group.": "成果物：グループ別の月次クレーム件数、市場稼働台数、推定故障率。",
+  "Scenarios, daily split, retired machines and P10–P90 bands all live here. Export CSV / JSON at the end of the talk.": "シナリオ、日次按分、退役台数、P10–P90 の帯はすべてここにあります。説明の最後に CSV / JSON を出力します。",
+  "Be explicit about limits before anyone else raises them.": "限界は、誰かに指摘される前に自分からはっきり伝えます。",
+  "Thin history, wrong CM dates, a future unlike the past. Use it to compare scenarios, not as an oracle.": "実績が少ない、対策日が違う、将来が過去と違う。予言ではなく、シナリオの比較に使います。",
+  "One-screen recap: machines by age × risk curve, then calibration, countermeasures, EOL.": "1 画面のまとめ：月齢別の台数 × リスクカーブ、そしてキャリブレーション、対策、EOL。",
+  "Offer the state file or link so the audience can replay the settings.": "状態ファイルかリンクを渡して、聴衆が設定を再現できるようにします。",
+  "Appendix. Pretend it is an earlier month and check how the forecast held up.": "付録。以前の月だと仮定して、予測がどれだけ当たったかを確かめます。",
+  "Read MAE and bias at 3 and 6 months; positive bias means we over-forecast.": "3 か月と 6 か月の MAE とバイアスを読みます。バイアスが正なら予測が多すぎます。",
+  "Appendix. Which input deserves the most care?": "付録。どの入力に一番気を配るべきか？",
+  "The longest bar is the input to pin down first. Bars are one input at a time, not combined.": "一番長い棒が、最初に固めるべき入力です。棒は入力を 1 つずつ動かした結果で、組み合わせではありません。",
+
+  /* Presenter view (presenter.html, presenter.js) */
+  "Presenter view": "発表者ビュー",
+  "Only you see this window. Open the audience window and move it to the projector.": "このウィンドウは発表者だけに見えます。聴衆用ウィンドウを開いてプロジェクターに移してください。",
+  "Elapsed time": "経過時間",
+  "Now": "現在",
+  "Current page (live)": "現在のページ（ライブ）",
+  "Next page (preview)": "次のページ（プレビュー）",
+  "End of the deck": "資料の終わり",
+  "Speaker notes": "スピーカーノート",
+  "Open audience window": "聴衆用ウィンドウを開く",
+  "Leave presenter view": "発表者ビューを終了",
+  "No notes for this page.": "このページにはノートがありません。",
+  "Loading…": "読み込み中…",
+  "Start": "開始",
+  "Pause": "一時停止",
+  "Resume": "再開",
+  "No audience window": "聴衆用ウィンドウなし",
+  "The browser blocked the window: allow pop-ups for this file and try again.": "ブラウザーがウィンドウをブロックしました。このファイルのポップアップを許可して、もう一度試してください。",
+  "Audience window opening…": "聴衆用ウィンドウを開いています…",
+  "Audience window on page {n}": "聴衆用ウィンドウ：ページ {n}",
+  "Audience window closed": "聴衆用ウィンドウが閉じられました",
+
+  /* common.js: header hint, history import, production plan */
+  "Stochastic mode: P10–P90 bands from {runs} runs (seed {seed}).": "確率モード：{runs} 回の試行による P10–P90 の帯（シード {seed}）。",
+  "Toy data": "架空データ",
+  "Could not load the file:": "ファイルを読み込めませんでした：",
+  "Could not read {name}.": "{name} を読み取れませんでした。",
+  "… and {n} more": "… ほか {n} 件",
+  "NOW {month}": "現在 {month}",
+  "Only the last {n} months of history are drawn.": "履歴は直近 {n} か月分のみ表示しています。",
+  "(empty)": "（空欄）",
+  "Seasonal: not a number: {values}.": "季節変動：数値ではありません：{values}。",
+  "Monthly plan: not a number: {values}.": "月別計画：数値ではありません：{values}。",
+  "Plan: {msg}.": "計画：{msg}。",
+
+  /* common.js: curve families (page 5) and fit */
+  "Weibull": "ワイブル",
+  "Lognormal": "対数正規",
+  "Gamma": "ガンマ",
+  "Exponential (constant risk)": "指数（リスク一定）",
+  "Bathtub (infant mortality + wear-out)": "バスタブ（初期故障 + 摩耗）",
+  "Median lifetime (months)": "寿命の中央値（月）",
+  "Mean lifetime (months)": "平均寿命（月）",
+  "Wear-out lifetime (α, months)": "摩耗の寿命（α、月）",
+  "Spread (σ of log-lifetime)": "ばらつき（対数寿命の σ）",
+  "Shape (k)": "形状（k）",
+  "Wear-out sharpness (β)": "摩耗の鋭さ（β）",
+  "Group {n}": "グループ {n}",
+  "Age {age} mo → risk {risk}%": "経過 {age} か月 → リスク {risk}%",
+  "(toy example)": "（架空の例）",
+  "Not enough history to fit.": "当てはめに必要な実績が足りません。",
+  "Fitted: α={alpha}, β={beta}": "当てはめ結果：α={alpha}、β={beta}",
+  "Fitted: mean {alpha} months": "当てはめ結果：平均 {alpha} か月",
+  "level ×{level} (set by calibration)": "水準 ×{level}（キャリブレーションで設定）",
+
+  /* common.js: forecast labels (pages 6–9) */
+  "Next month: {n}": "来月：{n}",
+  "Scale factor: {scale}": "スケール係数：{scale}",
+  "Scale factor: {scale} (last {n} months{excluded})": "スケール係数：{scale}（直近 {n} か月{excluded}）",
+  ", 1 spike month excluded": "、スパイク 1 か月を除外",
+  ", {n} spike months excluded": "、スパイク {n} か月を除外",
+  "Cut-in": "生産切替",
+  "Retrofit": "市場改修",
+  ", phase-in {n} mo": "、段階導入 {n} か月",
+  "#{n} {kind} from {month}, {eff}% remaining{phase}": "#{n} {kind} {month} から、リスク残 {eff}%{phase}",
+  "Expected next 24 months: {n} (toy)": "今後 24 か月の期待件数：{n}（架空）",
+  "Expected next 12 months: {n} (toy)": "今後 12 か月の期待件数：{n}（架空）",
+  " · total P10–P90: {lo}–{hi}": " · 合計の P10–P90：{lo}–{hi}",
+  "{months}-month total P10–P90: {lo}–{hi} (P50 {p50})": "{months} か月合計の P10–P90：{lo}–{hi}（P50 {p50}）",
+  "EOL: ON": "EOL：オン",
+  "EOL: OFF": "EOL：オフ",
+  "{month} (+{n} months)": "{month}（+{n} か月）",
+
+  /* common.js: spikes (page 10) */
+  "Auto-detect: ON": "自動検出：オン",
+  "Auto-detect: OFF": "自動検出：オフ",
+  "Filtered recent average (last {n}): {avg} ({excluded} excluded)": "除外後の直近平均（直近 {n} か月）：{avg}（{excluded} か月を除外）",
+  "Automatic only: {avg} ({n} flagged)": "自動検出のみ：{avg}（{n} か月を検出）",
+  "Month {month}: {count} complaints, robust z = {z} (median {median}, MAD {mad}) > {threshold}": "{month}：クレーム {count} 件、ロバスト z = {z}（中央値 {median}、MAD {mad}）> {threshold}",
+  " — kept by you": " — 手動で残しています",
+  " — not excluded (auto-detect off)": " — 除外していません（自動検出オフ）",
+  "No month above robust z = {threshold}.": "ロバスト z = {threshold} を超える月はありません。",
+  "Hide top contributors": "主な寄与を隠す",
+  "Show top contributors": "主な寄与を表示",
+
+  /* common.js: output, daily line, attrition, scenarios (page 11) */
+  "Stochastic: ON": "確率モード：オン",
+  "Stochastic: OFF": "確率モード：オフ",
+  "Example: {month}": "例：{month}",
+  "Daily line: ON": "日次の線：オン",
+  "Daily line: OFF": "日次の線：オフ",
+  "{retired} of {built} built have retired": "生産 {built} 台のうち {retired} 台が退役",
+  "{rate}% per month": "月あたり {rate}%",
+  "daily, max {n}/day": "日次、最大 {n} 件/日",
+  "\"{value}\" is not a YYYY-MM-DD date.": "「{value}」は YYYY-MM-DD 形式の日付ではありません。",
+  "Attrition: {msg}.": "退役：{msg}。",
+  "Current settings": "現在の設定",
+  "Show": "表示",
+  "Scenario": "シナリオ",
+  "Next 12 m": "今後 12 か月",
+  "Next 24 m": "今後 24 か月",
+  "Δ 24 m vs baseline": "24 か月の差（基準比）",
+  "Baseline": "基準",
+  "Overlay {name} on the charts": "{name} をグラフに重ねる",
+  "Use {name} as baseline": "{name} を基準にする",
+  "Load": "読込",
+  "Delete": "削除",
+
+  /* common.js: backtest (page 14) */
+  "{month} (1 month held out)": "{month}（検証 1 か月）",
+  "{month} ({n} months held out)": "{month}（検証 {n} か月）",
+  "Re-fit curve before the cut-off: ON": "区切り前でカーブを再当てはめ：オン",
+  "Re-fit curve before the cut-off: OFF": "区切り前でカーブを再当てはめ：オフ",
+  "Horizon": "期間",
+  "Bias": "バイアス",
+  "{n} months": "{n} か月",
+  "needs {n} held-out months ({available} available)": "検証に {n} か月必要（{available} か月あり）",
+  "Level recalibrated on 1 month before {month}: scale ×{scale}.": "{month} より前の 1 か月で水準を再キャリブレーション：スケール ×{scale}。",
+  "Level recalibrated on {n} months before {month}: scale ×{scale}.": "{month} より前の {n} か月で水準を再キャリブレーション：スケール ×{scale}。",
+  " Curve re-fitted: α={alpha}, β={beta}.": " カーブを再当てはめ：α={alpha}、β={beta}。",
+  "cut-off {month}": "区切り {month}",
+
+  /* common.js: sensitivity (page 15) */
+  "α (lifetime)": "α（寿命）",
+  "β (shape)": "β（形状）",
+  "Scale": "スケール",
+  "CM remaining risk": "対策後の残るリスク",
+  "EOL month": "EOL 月",
+  "±{n} mo": "±{n} か月",
+  "Base {months}-month total: {base}. Biggest driver: {driver} ({low}–{high}).": "{months} か月合計の基準値：{base}。最も効く入力：{driver}（{low}–{high}）。",
+  " EOL is off (Page 9), so the EOL month has no effect.": " EOL がオフ（ページ 9）なので、EOL 月は影響しません。",
+  "base {n}": "基準 {n}",
+
+  /* common.js: chart data tables and screen-reader text (pages 3–15) */
+  "Data table": "データ表",
+  "Month": "月",
+  "Machines": "台数",
+  "Status": "状態",
+  "Built": "生産済み",
+  "Planned": "計画",
+  "Age at NOW (months)": "NOW 時点の経過月数",
+  "Risk per month (%)": "月あたりリスク（%）",
+  "Observed": "実績",
+  "Fitted": "当てはめ",
+  "Expected": "期待件数",
+  "Without CM": "対策なし",
+  "Model (scale 1)": "モデル（スケール 1）",
+  "Model (scaled)": "モデル（スケール適用後）",
+  "Spike excluded": "スパイク除外",
+  "Robust z": "ロバスト z",
+  "Excluded": "除外",
+  "Actual": "実績",
+  "Predicted": "予測",
+  "Held out": "検証用",
+  "Input": "入力",
+  "Low value": "低い値",
+  "Total at low": "低い値での合計",
+  "High value": "高い値",
+  "Total at high": "高い値での合計",
+  "Yes": "はい",
+  "No": "いいえ",
+  "EOL off": "EOL オフ",
+  "Exclude {month} ({count} complaints)": "{month} を除外（クレーム {count} 件）",
+  "{month}: {n} complaints expected, {rate}% per month": "{month}：期待クレーム {n} 件、月あたり {rate}%",
+
+  /* common.js: overview and go to page */
+  "Overview": "ページ一覧",
+  "Close": "閉じる",
+  "Page {n}": "ページ {n}",
+  "Go to page {n}…": "ページ {n} へ移動…",
+  "No page {n}": "ページ {n} はありません",
+
+  /* common.js: handout */
+  "Handout": "配布資料",
+  "Failure mode: {title}": "故障モード：{title}",
+  "Print": "印刷",
+  "Preparing pages: {n} of {total}…": "ページを準備中：{n} / {total}…",
+  "{n} pages ready.": "{n} ページの準備ができました。",
+  "No countermeasure": "対策なし",
+
+  /* common.js: state file (page 13) */
+  "Loaded {name}.": "{name} を読み込みました。",
+  "Loaded {name} (migrated from schema v{from} to v{to}).": "{name} を読み込みました（スキーマ v{from} から v{to} に更新）。",
+  "Could not load {name}: {error}": "{name} を読み込めませんでした：{error}",
+  " Some fields were rejected and kept their current value:": " 一部の項目は受け付けられず、現在の値のままです：",
+  "Applied the shared link.": "共有リンクの設定を適用しました。",
+  "Could not apply the shared link: {error}": "共有リンクの設定を適用できませんでした：{error}",
+  "The shared link could not be decoded and was ignored.": "共有リンクを読み取れなかったため、無視しました。",
+  "Restored the saved settings.": "保存された設定を復元しました。",
+  "Could not restore the saved settings: {error}": "保存された設定を復元できませんでした：{error}",
+  "Dismiss": "閉じる",
+  "not valid JSON.": "JSON として正しくありません。",
+  "the file could not be read.": "ファイルを読み取れませんでした。"
+};
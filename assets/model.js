@@ -0,0 +1,709 @@
+/* ---------------------------
+   Complaint model (headless)
+   ---------------------------
+   The numeric core of the deck with no DOM and no global state: every
+   function takes its inputs explicitly. The slides (common.js) bind these to
+   `state`; the command-line forecaster (cli/forecast.js) feeds them a CSV
+   and a parameter file.
+
+   Browser: a classic script loaded before common.js, exposed as
+   window.ComplaintModel (works from file://, no module loader needed).
+   Node: const model = require("./assets/model.js").
+
+   Model inputs (`p` below):
+     cohorts   [{monthIndex, machines}]   history, monthIndex 0 = now
+     alpha, beta                          aging curve knobs (months, shape)
+     dist, infant                         lifetime family (see lifetimeCDF), default Weibull
+     scale                                calibration factor (default 1)
+     cms       [{type, start, eff, phaseIn}]   countermeasures (default none)
+     includeFutureCohorts                 add planned production (default true)
+     eolOn, eolRel                        stop production after eolRel
+     plan                                 production plan (see productionPlan)
+     attrition                            retirement from the field (see survivalAt)
+     nowMonth  "YYYY-MM" of monthIndex 0  aligns the plan's seasonal pattern
+*/
+(function(root, factory){
+  const api = factory();
+  if(typeof module === "object" && module.exports) module.exports = api;
+  else root.ComplaintModel = api;
+})(typeof self !== "undefined" ? self : this, function(){
+  "use strict";
+
+  const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+
+  const DEFAULT_HORIZON = 30;
+
+  /* ---------------------------
+     Calendar months + history CSV
+     ---------------------------
+     One row per calendar month, oldest first or in any order:
+       month,production,complaints
+       2024-01,780,8
+     The most recent month becomes monthIndex 0.
+  */
+  const HISTORY_COLUMNS = ["month", "production", "complaints"];
+  const HISTORY_MIN_MONTHS = 12;   // the spike filter (page 10) looks at the last 12 months
+
+  // "YYYY-MM" <-> integer month key (year*12 + month0)
+  function parseMonthKey(s){
+    const m = /^(\d{4})-(\d{1,2})$/.exec(String(s).trim());
+    if(!m) return null;
+    const mo = parseInt(m[2],10);
+    if(mo < 1 || mo > 12) return null;
+    return parseInt(m[1],10)*12 + (mo-1);
+  }
+  function monthKeyToString(k){
+    const y = Math.floor(k/12);
+    return `${y}-${String(k - y*12 + 1).padStart(2,"0")}`;
+  }
+
+  function splitCsvLine(line){
+    const out = [];
+    let cur = "", quoted = false;
+    for(let i=0; i<line.length; i++){
+      const ch = line[i];
+      if(quoted){
+        if(ch === '"' && line[i+1] === '"'){ cur += '"'; i++; }
+        else if(ch === '"') quoted = false;
+        else cur += ch;
+      }else if(ch === '"') quoted = true;
+      else if(ch === ",") { out.push(cur.trim()); cur = ""; }
+      else cur += ch;
+    }
+    out.push(cur.trim());
+    return out;
+  }
+
+  // Parse + validate. Returns {ok, errors[], cohorts, complaints, firstMonth, lastMonth}
+  function parseHistoryCsv(text){
+    const errors = [];
+    const lines = String(text).replace(/^\uFEFF/, "").split(/\r?\n/);
+    const rows = [];
+    let header = null;
+
+    lines.forEach((line, i)=>{
+      if(!line.trim()) return;
+      const cells = splitCsvLine(line);
+      if(!header){ header = { cells: cells.map(c => c.toLowerCase()), lineNo: i+1 }; return; }
+      rows.push({ cells, lineNo: i+1 });
+    });
+
+    if(!header) return { ok: false, errors: ["The file is empty."] };
+
+    const col = {};
+    HISTORY_COLUMNS.forEach(name => { col[name] = header.cells.indexOf(name); });
+    const missingCols = HISTORY_COLUMNS.filter(name => col[name] < 0);
+    if(missingCols.length){
+      const found = header.cells.filter(Boolean).join(", ") || "(none)";
+      return { ok: false, errors: [`Wrong column names: expected ${HISTORY_COLUMNS.join(", ")}; found ${found}. Missing: ${missingCols.join(", ")}.`] };
+    }
+
+    const parsed = [];
+    const seen = new Map();
+    rows.forEach(({cells, lineNo})=>{
+      const monthRaw = cells[col.month] ?? "";
+      const key = parseMonthKey(monthRaw);
+      if(key === null){
+        errors.push(`Line ${lineNo}: month "${monthRaw}" is not in YYYY-MM format.`);
+        return;
+      }
+      if(seen.has(key)){
+        errors.push(`Line ${lineNo}: month ${monthKeyToString(key)} already appears on line ${seen.get(key)}.`);
+        return;
+      }
+      seen.set(key, lineNo);
+
+      const counts = {};
+      let rowOk = true;
+      ["production", "complaints"].forEach(name=>{
+        const raw = cells[col[name]] ?? "";
+        const v = Number(raw);
+        if(raw === ""){
+          errors.push(`Line ${lineNo}: ${name} is empty.`); rowOk = false;
+        }else if(!Number.isFinite(v)){
+          errors.push(`Line ${lineNo}: ${name} "${raw}" is not a number.`); rowOk = false;
+        }else if(v < 0){
+          errors.push(`Line ${lineNo}: ${name} is negative (${raw}).`); rowOk = false;
+        }else if(!Number.isInteger(v)){
+          errors.push(`Line ${lineNo}: ${name} must be a whole number (got ${raw}).`); rowOk = false;
+        }
+        counts[name] = v;
+      });
+      if(rowOk) parsed.push({ key, production: counts.production, complaints: counts.complaints });
+    });
+
+    // Gaps are checked on every month we could read, so one bad row is not also reported as missing
+    const keys = Array.from(seen.keys()).sort((a,b)=>a-b);
+    for(let i=1; i<keys.length; i++){
+      for(let k=keys[i-1]+1; k<keys[i]; k++) errors.push(`Missing month ${monthKeyToString(k)}.`);
+    }
+    if(keys.length < HISTORY_MIN_MONTHS){
+      errors.push(`Need at least ${HISTORY_MIN_MONTHS} months of history (found ${keys.length}).`);
+    }
+
+    if(errors.length) return { ok: false, errors };
+
+    parsed.sort((a,b)=>a.key-b.key);
+    const lastKey = parsed[parsed.length-1].key;
+    return {
+      ok: true,
+      errors: [],
+      cohorts: parsed.map(r => ({ monthIndex: r.key - lastKey, machines: r.production })),
+      complaints: parsed.map(r => ({ monthIndex: r.key - lastKey, count: r.complaints })),
+      firstMonth: monthKeyToString(parsed[0].key),
+      lastMonth: monthKeyToString(lastKey),
+    };
+  }
+
+  /* ---------------------------
+     Aging curve + countermeasures
+     --------------------------- */
+  /* Lifetime distributions. `dist` picks the family; alpha and beta stay its
+     two main knobs, so the sliders, the fit and the stochastic jitter work
+     the same way for every family:
+       weibull      alpha = characteristic life (months), beta = shape
+       lognormal    alpha = median life (months),         beta = sigma of ln(life)
+       gamma        alpha = mean life (months),           beta = shape k
+       exponential  alpha = mean life (months); beta unused (constant hazard)
+       mixture      share `infant.weight` fails by an early Weibull
+                    (infant.alpha, infant.beta; beta < 1 = infant mortality),
+                    the rest by the wear-out Weibull (alpha, beta): a bathtub
+     Functions taking a trailing `life` read life.dist and life.infant from it
+     (any object with those fields, e.g. the model inputs); without it the
+     curve is a Weibull. */
+  const DISTRIBUTIONS = ["weibull", "lognormal", "gamma", "exponential", "mixture"];
+  const DEFAULT_INFANT = { weight: 0.1, alpha: 6, beta: 0.7 };
+
+  // Check a mixture's early component -> {infant, errors}; bad or missing
+  // fields fall back to DEFAULT_INFANT and are listed in errors.
+  function normalizeInfant(raw){
+    const infant = { ...DEFAULT_INFANT };
+    const errors = [];
+    if(raw === undefined || raw === null) return { infant, errors };
+    if(typeof raw !== "object" || Array.isArray(raw)) return { infant, errors: ["infant must be an object"] };
+    const num = (x) => typeof x === "number" && Number.isFinite(x);
+    if(num(raw.weight) && raw.weight >= 0 && raw.weight <= 1) infant.weight = raw.weight;
+    else errors.push("weight must be a number 0–1");
+    ["alpha", "beta"].forEach(k => {
+      if(num(raw[k]) && raw[k] > 0) infant[k] = raw[k];
+      else errors.push(`${k} must be a positive number`);
+    });
+    return { infant, errors };
+  }
+
+  // Weibull CDF: F(t) = 1 - exp(-(t/alpha)^beta), t>=0
+  function weibullCDF(t, alpha, beta){
+    if (t <= 0) return 0;
+    return 1 - Math.exp(-Math.pow(t/alpha, beta));
+  }
+
+  // erf, Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+  function erf(x){
+    const sign = x < 0 ? -1 : 1;
+    const ax = Math.abs(x);
+    const t = 1 / (1 + 0.3275911*ax);
+    const y = 1 - (((((1.061405429*t - 1.453152027)*t) + 1.421413741)*t - 0.284496736)*t + 0.254829592)*t*Math.exp(-ax*ax);
+    return sign * y;
+  }
+  function lognormalCDF(t, median, sigma){
+    if(t <= 0) return 0;
+    return 0.5 * (1 + erf(Math.log(t/median) / (sigma*Math.SQRT2)));
+  }
+
+  // ln Γ(z), Lanczos (g = 7)
+  const LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  function lnGamma(z){
+    if(z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI*z)) - lnGamma(1 - z);
+    z -= 1;
+    let x = LANCZOS[0];
+    for(let i=1; i<9; i++) x += LANCZOS[i] / (z + i);
+    const t = z + 7.5;
+    return 0.5*Math.log(2*Math.PI) + (z + 0.5)*Math.log(t) - t + Math.log(x);
+  }
+  // Regularized lower incomplete gamma P(a, x): series below a+1, continued fraction above
+  function gammaP(a, x){
+    if(x <= 0) return 0;
+    const lnPre = a*Math.log(x) - x - lnGamma(a);
+    if(x < a + 1){
+      let ap = a, sum = 1/a, del = sum;
+      for(let n=0; n<500; n++){
+        ap += 1;
+        del *= x / ap;
+        sum += del;
+        if(Math.abs(del) < Math.abs(sum)*1e-14) break;
+      }
+      return clamp(sum * Math.exp(lnPre), 0, 1);
+    }
+    const tiny = 1e-300;
+    let b = x + 1 - a, c = 1/tiny, d = 1/b, h = d;
+    for(let i=1; i<500; i++){
+      const an = -i * (i - a);
+      b += 2;
+      d = an*d + b; if(Math.abs(d) < tiny) d = tiny;
+      c = b + an/c; if(Math.abs(c) < tiny) c = tiny;
+      d = 1/d;
+      const del = d*c;
+      h *= del;
+      if(Math.abs(del - 1) < 1e-14) break;
+    }
+    return clamp(1 - Math.exp(lnPre) * h, 0, 1);
+  }
+  function gammaCDF(t, mean, k){
+    if(t <= 0) return 0;
+    return gammaP(k, t / (mean / k));
+  }
+
+  function lifetimeCDF(t, alpha, beta, life){
+    if(t <= 0) return 0;
+    switch(life && life.dist){
+      case "lognormal": return lognormalCDF(t, alpha, beta);
+      case "gamma": return gammaCDF(t, alpha, beta);
+      case "exponential": return 1 - Math.exp(-t/alpha);
+      case "mixture": {
+        const inf = life.infant || DEFAULT_INFANT;
+        const w = clamp(inf.weight, 0, 1);
+        return w*weibullCDF(t, inf.alpha, inf.beta) + (1-w)*weibullCDF(t, alpha, beta);
+      }
+      default: return weibullCDF(t, alpha, beta);
+    }
+  }
+  // Discrete probability of failing within month [m, m+1)
+  function pFailInMonth(m, alpha, beta, life){
+    const a = lifetimeCDF(m, alpha, beta, life);
+    const b = lifetimeCDF(m+1, alpha, beta, life);
+    return clamp(b - a, 0, 1);
+  }
+  // Risk curve for visualization: scaled version of pFailInMonth across ages 0..60
+  function riskCurvePoints(alpha, beta, maxAge=60, n=61, life){
+    const pts = [];
+    let maxR = 0;
+    for(let age=0; age<=maxAge; age++){
+      const r = pFailInMonth(age, alpha, beta, life);
+      maxR = Math.max(maxR, r);
+      pts.push({age, r});
+    }
+    // normalize for plotting
+    const denom = maxR > 0 ? maxR : 1;
+    return pts.map(p => ({age:p.age, r:p.r/denom, raw:p.r}));
+  }
+
+  // Remaining-risk multiplier for one cohort in one target month, all CMs combined
+  // (each CM removes its share of whatever risk is left, so factors multiply).
+  // - cutin: cohorts built after `start`; phase-in ramps over the next cohort months.
+  // - retrofit: machines already built by `start`, from calendar month `start` on;
+  //   phase-in ramps over calendar months (the field team needs time to visit them).
+  function cmPhaseProgress(monthsIn, phaseIn){
+    return phaseIn > 0 ? clamp(monthsIn / phaseIn, 0, 1) : 1;
+  }
+  function cmFactor(cohortIdx, targetOffset, cms){
+    let f = 1.0;
+    for(const cm of cms){
+      let progress = 0;
+      if(cm.type === "retrofit"){
+        if(cohortIdx <= cm.start && targetOffset >= cm.start){
+          progress = cmPhaseProgress(targetOffset - cm.start + 1, cm.phaseIn);
+        }
+      }else if(cohortIdx > cm.start){
+        progress = cmPhaseProgress(cohortIdx - cm.start, cm.phaseIn);
+      }
+      f *= 1 - (1 - cm.eff) * progress;
+    }
+    return f;
+  }
+
+  const CM_TYPES = ["cutin", "retrofit"];
+
+  // Check a CM list from a file -> {cms, errors}; entries with a bad field
+  // are dropped and listed in errors. type defaults to cutin, phaseIn to 0.
+  function normalizeCms(raw){
+    const cms = [];
+    const errors = [];
+    if(raw === undefined || raw === null) return { cms, errors };
+    if(!Array.isArray(raw)) return { cms, errors: ["cms must be a list"] };
+    const num = (x) => typeof x === "number" && Number.isFinite(x);
+    raw.forEach((c, i) => {
+      const where = `cms[${i}]`;
+      if(!c || typeof c !== "object" || Array.isArray(c)){ errors.push(`${where} must be an object`); return; }
+      const bad = [];
+      if(c.type !== undefined && !CM_TYPES.includes(c.type)) bad.push(`type must be ${CM_TYPES.join(" or ")}`);
+      if(!num(c.start)) bad.push("start must be a number");
+      if(c.phaseIn !== undefined && !(num(c.phaseIn) && c.phaseIn >= 0)) bad.push("phaseIn must be a number ≥ 0");
+      if(!(num(c.eff) && c.eff >= 0 && c.eff <= 1)) bad.push("eff must be a number 0–1");
+      if(bad.length){ bad.forEach(msg => errors.push(`${where}: ${msg}`)); return; }
+      cms.push({
+        id: typeof c.id === "string" ? c.id : `cm${i+1}`,
+        type: c.type ?? "cutin",
+        start: c.start,
+        eff: c.eff,
+        phaseIn: c.phaseIn ?? 0
+      });
+    });
+    return { cms, errors };
+  }
+
+  /* ---------------------------
+     Production plan
+     ---------------------------
+     Future production for monthIndex 1..horizon (0 = now month):
+       base(mi)   = level + trend * (mi - 1)
+                    level null = average of the last 6 history months
+       seasonal   12 percent adjustments by calendar month (Jan..Dec),
+                  e.g. +10 = 10% more than base that month; needs nowMonth
+       rampDown   with EOL on, the last rampDown months before EOL fall
+                  linearly towards 0 (EOL month = 1/(rampDown+1) of plan)
+       manual     user-entered machines for months 1..n; a number there
+                  replaces the formula (seasonal and ramp-down included)
+     Production always stops after eolRel when EOL is on.
+  */
+  const DEFAULT_PLAN = { level: null, trend: 0, seasonal: null, rampDown: 0, manual: [], horizon: DEFAULT_HORIZON };
+  const PLAN_HORIZON_MIN = 12, PLAN_HORIZON_MAX = 60;
+  // EOL (eolRel) can fall from EOL_REL_MIN months ahead to the plan horizon
+  const EOL_REL_MIN = 3;
+
+  // Check a plan from a file or a saved state -> {plan, errors}; bad fields
+  // keep their value in `base` (DEFAULT_PLAN, or the current plan when a
+  // state is applied over it) and are listed in errors.
+  function normalizePlan(raw, base=DEFAULT_PLAN){
+    const plan = { ...DEFAULT_PLAN, ...base };
+    plan.manual = (plan.manual || []).slice();
+    if(plan.seasonal) plan.seasonal = plan.seasonal.slice();
+    const errors = [];
+    if(raw === undefined || raw === null) return { plan, errors };
+    if(typeof raw !== "object" || Array.isArray(raw)) return { plan, errors: ["plan must be an object"] };
+    const num = (x) => typeof x === "number" && Number.isFinite(x);
+
+    if(raw.level !== undefined && raw.level !== null){
+      if(num(raw.level) && raw.level >= 0) plan.level = raw.level;
+      else errors.push("level must be a number ≥ 0 (or null for the 6-month average)");
+    }
+    if(raw.trend !== undefined){
+      if(num(raw.trend)) plan.trend = raw.trend;
+      else errors.push("trend must be a number");
+    }
+    if(raw.seasonal !== undefined && raw.seasonal !== null){
+      if(Array.isArray(raw.seasonal) && raw.seasonal.length === 12 && raw.seasonal.every(v => num(v) && v >= -100)) plan.seasonal = raw.seasonal.slice();
+      else errors.push("seasonal must list 12 percentages (Jan..Dec), each ≥ -100");
+    }
+    if(raw.rampDown !== undefined){
+      if(Number.isInteger(raw.rampDown) && raw.rampDown >= 0) plan.rampDown = raw.rampDown;
+      else errors.push("rampDown must be a whole number of months ≥ 0");
+    }
+    if(raw.manual !== undefined){
+      if(Array.isArray(raw.manual) && raw.manual.every(v => v === null || (num(v) && v >= 0))) plan.manual = raw.manual.slice();
+      else errors.push("manual must list machines per month (numbers ≥ 0, or null to use the formula)");
+    }
+    if(raw.horizon !== undefined){
+      if(Number.isInteger(raw.horizon) && raw.horizon >= PLAN_HORIZON_MIN && raw.horizon <= PLAN_HORIZON_MAX) plan.horizon = raw.horizon;
+      else errors.push(`horizon must be a whole number of months, ${PLAN_HORIZON_MIN}–${PLAN_HORIZON_MAX}`);
+    }
+    return { plan, errors };
+  }
+
+  function planLevel(cohorts, plan){
+    if(plan.level !== null && plan.level !== undefined) return plan.level;
+    const last6 = cohorts.slice(-6).map(c => c.machines);
+    return last6.reduce((a,b)=>a+b,0) / Math.max(1,last6.length);
+  }
+
+  // Future cohorts [{monthIndex, machines, manual}] for monthIndex 1..horizon
+  // opts: {eolOn, eolRel, nowMonth ("YYYY-MM", for the seasonal pattern)}
+  function productionPlan(cohorts, plan, opts={}){
+    const pl = { ...DEFAULT_PLAN, ...(plan || {}) };
+    const level = planLevel(cohorts, pl);
+    const nowKey = opts.nowMonth ? parseMonthKey(opts.nowMonth) : null;
+    const out = [];
+    for(let mi=1; mi<=pl.horizon; mi++){
+      if(opts.eolOn && mi > opts.eolRel) break;
+      const entered = pl.manual[mi-1];
+      if(typeof entered === "number"){
+        out.push({ monthIndex: mi, machines: Math.max(0, Math.round(entered)), manual: true });
+        continue;
+      }
+      let m = level + pl.trend * (mi - 1);
+      if(pl.seasonal && nowKey !== null) m *= 1 + pl.seasonal[(nowKey + mi) % 12] / 100;
+      if(opts.eolOn && pl.rampDown > 0 && mi > opts.eolRel - pl.rampDown){
+        m *= (opts.eolRel - mi + 1) / (pl.rampDown + 1);
+      }
+      out.push({ monthIndex: mi, machines: Math.max(0, Math.round(m)), manual: false });
+    }
+    return out;
+  }
+
+  /* ---------------------------
+     Fleet attrition
+     ---------------------------
+     Share of a cohort still in service at some age (months since built):
+       mode "none"      every machine stays forever (S = 1)
+       mode "life"      fixed service life: all retire at age `life`
+       mode "survival"  Weibull survival S(age) = exp(-(age/survAlpha)^survBeta);
+                        survBeta 1 = the same share leaves every month
+     Retired machines neither complain nor count as in the field.
+  */
+  const DEFAULT_ATTRITION = { mode: "none", life: 120, survAlpha: 120, survBeta: 2 };
+  const ATTRITION_MODES = ["none", "life", "survival"];
+
+  // Check attrition from a file or a saved state -> {attrition, errors}; bad
+  // fields keep their value in `base` (the defaults, or the current settings
+  // when a state is applied over them) and are listed in errors.
+  function normalizeAttrition(raw, base=DEFAULT_ATTRITION){
+    const attrition = { ...DEFAULT_ATTRITION, ...base };
+    const errors = [];
+    if(raw === undefined || raw === null) return { attrition, errors };
+    if(typeof raw !== "object" || Array.isArray(raw)) return { attrition, errors: ["attrition must be an object"] };
+    const pos = (x) => typeof x === "number" && Number.isFinite(x) && x > 0;
+    if(raw.mode !== undefined){
+      if(ATTRITION_MODES.includes(raw.mode)) attrition.mode = raw.mode;
+      else errors.push(`mode must be one of ${ATTRITION_MODES.join(", ")}`);
+    }
+    ["life", "survAlpha", "survBeta"].forEach(k => {
+      if(raw[k] === undefined) return;
+      if(pos(raw[k])) attrition[k] = raw[k];
+      else errors.push(`${k} must be a positive number`);
+    });
+    return { attrition, errors };
+  }
+
+  function survivalAt(age, attrition){
+    if(!attrition || attrition.mode === "none" || age <= 0) return 1;
+    if(attrition.mode === "life") return age < attrition.life ? 1 : 0;
+    return Math.exp(-Math.pow(age / attrition.survAlpha, attrition.survBeta));
+  }
+
+  /* ---------------------------
+     Cohorts + forecast
+     --------------------------- */
+  // Existing cohorts + (optional) planned cohorts monthIndex 1..plan.horizon
+  // opts: {includeFuture, eolOn, eolRel, plan, nowMonth}
+  function buildCohortsForForecast(cohorts, opts={}){
+    const existing = cohorts.map(x => ({...x}));
+    if(!opts.includeFuture) return existing;
+    productionPlan(cohorts, opts.plan, opts)
+      .forEach(c => existing.push({ monthIndex: c.monthIndex, machines: c.machines }));
+    return existing;
+  }
+
+  function forecastCohorts(p){
+    return buildCohortsForForecast(p.cohorts, {
+      includeFuture: p.includeFutureCohorts ?? true,
+      eolOn: p.eolOn ?? false,
+      eolRel: p.eolRel ?? 18,
+      plan: p.plan,
+      nowMonth: p.nowMonth
+    });
+  }
+
+  // Expected complaints for a target month offset (0 = now month)
+  // - Each cohort's age at the target month is -monthIndex + targetOffset.
+  // - Only the machines still in service at that age (see survivalAt).
+  // - Apply the CM list (cut-ins and field retrofits, see cmFactor).
+  // - Apply scaling factor.
+  function expectedComplaintsForOffset(targetOffset, p){
+    const cms = p.cms ?? [];
+    let total = 0;
+    for(const c of forecastCohorts(p)){
+      const ageAtTarget = -c.monthIndex + targetOffset;
+      if(ageAtTarget < 0) continue;
+      const r = pFailInMonth(ageAtTarget, p.alpha, p.beta, p);
+      const active = c.machines * survivalAt(ageAtTarget, p.attrition);
+      total += active * r * cmFactor(c.monthIndex, targetOffset, cms);
+    }
+    return total * (p.scale ?? 1.0);
+  }
+
+  // Machines in field at some offset: every cohort built by then, minus the
+  // ones retired by their age (rounded to whole machines)
+  function machinesInFieldAtOffset(offset, p){
+    const total = forecastCohorts({ ...p, includeFutureCohorts: true })
+      .filter(c => c.monthIndex <= offset)
+      .reduce((s,c)=>s + c.machines * survivalAt(offset - c.monthIndex, p.attrition), 0);
+    return Math.round(total);
+  }
+
+  // Monthly series for offsets 0..months-1. `groups` (optional) is a list of
+  // {alpha, beta, scale, cms, dist, infant}; without it p itself is the only group.
+  // -> [{offset, expectedComplaints, byGroup[], machinesInField, impliedRate}]
+  function forecastSeries(p, months, groups){
+    const list = groups && groups.length ? groups : [p];
+    const out = [];
+    for(let k=0; k<months; k++){
+      const byGroup = list.map(g => expectedComplaintsForOffset(k, {
+        ...p, alpha: g.alpha, beta: g.beta, scale: g.scale, cms: g.cms, dist: g.dist, infant: g.infant
+      }));
+      const expected = byGroup.reduce((a,b)=>a+b,0);
+      const machines = machinesInFieldAtOffset(k, p);
+      out.push({
+        offset: k,
+        expectedComplaints: expected,
+        byGroup,
+        machinesInField: machines,
+        impliedRate: machines > 0 ? expected / machines : 0
+      });
+    }
+    return out;
+  }
+
+  /* ---------------------------
+     Sensitivity (one at a time)
+     ---------------------------
+     Each driver is moved to a low and a high value while the others stay as
+     in p, and the forecast total over months 0..months-1 is recomputed.
+       alpha, beta, scale, cmEff   x (1 - pct) and x (1 + pct)
+       cmStart, eolRel             - shift and + shift months
+     cmEff/cmStart act on p.cms[cmIndex]; eolRel only matters with EOL on.
+     -> {base, rows: [{param, low: {value, total}, high: {value, total}, swing}]}
+        rows sorted by swing = |high.total - low.total|, largest first;
+        drivers that do not apply (no CM) are left out.
+  */
+  function forecastTotal(p, months){
+    let total = 0;
+    for(let k=0; k<months; k++) total += expectedComplaintsForOffset(k, p);
+    return total;
+  }
+  function sensitivity(p, opts={}){
+    const pct = opts.pct ?? 0.2;
+    const shift = opts.shift ?? 3;
+    const months = opts.months ?? 24;
+    const ci = opts.cmIndex ?? 0;
+    const cm = (p.cms ?? [])[ci];
+    const withCm = (patch) => ({ ...p, cms: p.cms.map((c, i) => i === ci ? { ...c, ...patch } : c) });
+
+    const drivers = [
+      { param: "alpha", value: p.alpha, set: (v) => ({ ...p, alpha: v }), rel: true, min: 1e-6 },
+      { param: "beta", value: p.beta, set: (v) => ({ ...p, beta: v }), rel: true, min: 1e-6 },
+      { param: "scale", value: p.scale ?? 1, set: (v) => ({ ...p, scale: v }), rel: true, min: 0 }
+    ];
+    if(cm){
+      drivers.push({ param: "cmEff", value: cm.eff, set: (v) => withCm({ eff: v }), rel: true, min: 0, max: 1 });
+      drivers.push({ param: "cmStart", value: cm.start, set: (v) => withCm({ start: v }), rel: false });
+    }
+    drivers.push({ param: "eolRel", value: p.eolRel ?? 18, set: (v) => ({ ...p, eolRel: v }), rel: false, min: 1 });
+
+    const rows = drivers.map(d => {
+      const bound = (v) => clamp(v, d.min ?? -Infinity, d.max ?? Infinity);
+      const lowV = bound(d.rel ? d.value * (1 - pct) : d.value - shift);
+      const highV = bound(d.rel ? d.value * (1 + pct) : d.value + shift);
+      const low = { value: lowV, total: forecastTotal(d.set(lowV), months) };
+      const high = { value: highV, total: forecastTotal(d.set(highV), months) };
+      return { param: d.param, base: d.value, low, high, swing: Math.abs(high.total - low.total) };
+    });
+    rows.sort((a,b) => b.swing - a.swing);
+    return { base: forecastTotal(p, months), months, rows };
+  }
+
+  /* ---------------------------
+     Backtest
+     ---------------------------
+     Forecast the months from `cutoff` (a history monthIndex <= 0) as if now
+     were cutoff-1. Cohorts and complaints from the cut-off on are hidden;
+     production from there comes from the plan (its manual months belong to
+     today's future, so they are dropped), and CM / EOL dates move with the
+     clock. The level is recalibrated on the months before the cut-off, so
+     nothing after it leaks into the forecast.
+  */
+  function atCutoff(p, cutoff){
+    const shift = cutoff - 1;   // monthIndex at the cut-off clock = monthIndex - shift
+    const nowKey = p.nowMonth ? parseMonthKey(p.nowMonth) : null;
+    return {
+      ...p,
+      cohorts: p.cohorts.filter(c => c.monthIndex < cutoff).map(c => ({ ...c, monthIndex: c.monthIndex - shift })),
+      cms: (p.cms ?? []).map(cm => ({ ...cm, start: cm.start - shift })),
+      eolRel: (p.eolRel ?? 18) - shift,
+      plan: { ...DEFAULT_PLAN, ...(p.plan || {}), manual: [] },
+      nowMonth: nowKey === null ? p.nowMonth : monthKeyToString(nowKey + shift),
+      includeFutureCohorts: true
+    };
+  }
+
+  // complaints: [{monthIndex, count}] (all history, the held-out months too)
+  // opts: {calibWindow (months before the cut-off used for the level),
+  //        exclude(monthIndex) -> true for months left out of calibration}
+  // -> {scale, calibMonths, rows: [{monthIndex, actual, predicted, heldOut}]}
+  function backtest(p, cutoff, complaints, opts={}){
+    const shift = cutoff - 1;
+    const q = atCutoff(p, cutoff);
+    const window = opts.calibWindow ?? 12;
+    const exclude = opts.exclude || (() => false);
+    const calib = complaints.filter(c => c.monthIndex < cutoff && c.monthIndex >= cutoff - window && !exclude(c.monthIndex));
+    const observed = calib.reduce((a,c)=>a+c.count,0);
+    const expected = calib.reduce((a,c)=>a+expectedComplaintsForOffset(c.monthIndex - shift, { ...q, scale: 1 }),0);
+    const scale = expected > 0 ? observed / expected : (p.scale ?? 1);
+    const rows = complaints.map(c => ({
+      monthIndex: c.monthIndex,
+      actual: c.count,
+      predicted: expectedComplaintsForOffset(c.monthIndex - shift, { ...q, scale }),
+      heldOut: c.monthIndex >= cutoff
+    }));
+    return { scale, calibMonths: calib.length, rows };
+  }
+
+  // Errors over the first h held-out months, for each h in horizons.
+  // MAE = mean |predicted - actual|; MAPE over months with actual > 0 (%);
+  // bias = mean (predicted - actual), > 0 = the model over-forecasts.
+  // A horizon longer than the held-out period is reported with complete: false.
+  function forecastErrors(rows, horizons=[3, 6, 12]){
+    const held = rows.filter(r => r.heldOut);
+    return horizons.map(h => {
+      if(held.length < h) return { horizon: h, n: held.length, complete: false, mae: null, mape: null, bias: null };
+      const part = held.slice(0, h);
+      const diff = part.map(r => r.predicted - r.actual);
+      const pct = part.filter(r => r.actual > 0).map(r => Math.abs(r.predicted - r.actual) / r.actual * 100);
+      return {
+        horizon: h,
+        n: h,
+        complete: true,
+        mae: diff.reduce((a,d)=>a+Math.abs(d),0) / h,
+        mape: pct.length ? pct.reduce((a,b)=>a+b,0) / pct.length : null,
+        bias: diff.reduce((a,b)=>a+b,0) / h
+      };
+    });
+  }
+
+  /* ---------------------------
+     Spike detection (robust z-score)
+     ---------------------------
+     z_i = 0.6745 * (x_i - median) / MAD, MAD = median |x_i - median|.
+     Only upward spikes are flagged (z > threshold): a dip is not a one-off
+     complaint burst. If MAD is 0 (mostly identical months) we fall back to
+     the mean absolute deviation so a lone outlier can still be flagged.
+  */
+  function median(xs){
+    if(!xs.length) return 0;
+    const s = xs.slice().sort((a,b)=>a-b);
+    const m = Math.floor(s.length/2);
+    return s.length % 2 ? s[m] : (s[m-1] + s[m]) / 2;
+  }
+
+  // Returns Map(position -> {z, median, mad})
+  function detectSpikes(vals, threshold){
+    const flags = new Map();
+    if(vals.length < 3) return flags;
+    const med = median(vals);
+    const absDev = vals.map(v => Math.abs(v - med));
+    let mad = median(absDev);
+    let k = 0.6745;
+    if(mad === 0){
+      mad = absDev.reduce((a,b)=>a+b,0) / absDev.length;
+      k = 0.7979;   // 1 / 1.2533, the mean-absolute-deviation equivalent
+    }
+    if(mad === 0) return flags;
+    vals.forEach((v,i)=>{
+      const z = k * (v - med) / mad;
+      if(z > threshold) flags.set(i, { z, median: med, mad });
+    });
+    return flags;
+  }
+
+  return {
+    DEFAULT_HORIZON, HISTORY_COLUMNS, HISTORY_MIN_MONTHS,
+    parseMonthKey, monthKeyToString, splitCsvLine, parseHistoryCsv,
+    DISTRIBUTIONS, DEFAULT_INFANT, normalizeInfant,
+    weibullCDF, lognormalCDF, gammaCDF, lifetimeCDF, pFailInMonth, riskCurvePoints,
+    cmPhaseProgress, cmFactor, CM_TYPES, normalizeCms,
+    DEFAULT_PLAN, PLAN_HORIZON_MIN, PLAN_HORIZON_MAX, EOL_REL_MIN, normalizePlan, productionPlan,
+    DEFAULT_ATTRITION, ATTRITION_MODES, normalizeAttrition, survivalAt,
+    buildCohortsForForecast, expectedComplaintsForOffset, machinesInFieldAtOffset, forecastSeries,
+    forecastTotal, sensitivity, atCutoff, backtest, forecastErrors,
+    median, detectSpikes
+  };
+});
@@ -0,0 +1,287 @@
+/* ---------------------------
+   Presenter view (pages/presenter.html)
+   ---------------------------
+   Current page (live, in a frame), a preview of the next page, speaker
+   notes and a timer. "Open audience window" opens the deck in a second
+   window for the projector.
+
+   The deck pages report here with postMessage (see "Presenter sync" in
+   common.js): on boot each sends {type:"ready", slide, total, title,
+   notes}, and after an edit {type:"state", snap}. This window keeps the
+   frame and the audience window on the same page ({type:"goto"}) and
+   relays states between them, so an edit on either side shows on both.
+   Nothing here needs a server: postMessage works between file:// pages.
+   The view follows the deck language: pages send state.lang with "ready"
+   and in their snapshots; the notes arrive already translated.
+*/
+const PRESENTER_CHANNEL = "complaint-presenter";   // same as common.js
+const AUDIENCE_WINDOW = "complaint-audience";
+
+const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+
+const pres = {
+  slide: 1,
+  total: null,        // learned from the first page that reports in
+  pages: {},          // slide -> {title, notes}, as the pages report them
+  audience: null,
+  // page each window last reported, and the page it was last sent to
+  // (null once it got there); a report from another page while a move is
+  // pending is a page that was still loading, not a navigation
+  shown: { current: null, audience: null },
+  pending: { current: null, audience: null },
+  timer: { running: false, startedAt: 0, elapsed: 0 },
+  lang: "en",
+  audienceStatus: { msg: "No audience window" }
+};
+
+const currentFrame = document.getElementById("presCurrent");
+const nextFrame = document.getElementById("presNext");
+
+// Same file names as slideUrl() in common.js
+function slideUrl(n){
+  return `./page${String(n).padStart(2,"0")}.html`;
+}
+
+function send(win, msg){
+  if(!win || win.closed) return;
+  try{ win.postMessage({ channel: PRESENTER_CHANNEL, ...msg }, "*"); }catch(_e){}
+}
+
+function fmtClock(ms){
+  const s = Math.floor(ms / 1000);
+  const mm = String(Math.floor(s / 60) % 60).padStart(2,"0");
+  const ss = String(s % 60).padStart(2,"0");
+  return s >= 3600 ? `${Math.floor(s / 3600)}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+/* ---------------------------
+   Language
+   ---------------------------
+   Same rules as "Language" in common.js: I18N_JA (assets/i18n.js) maps
+   the English text, data-i18n / data-i18n-attr mark the static text.
+*/
+function tx(msg, vars){
+  const ja = pres.lang === "ja" && Object.prototype.hasOwnProperty.call(I18N_JA, msg);
+  const s = ja ? I18N_JA[msg] : msg;
+  return vars ? s.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m)) : s;
+}
+
+const __i18nHtml = new WeakMap();
+const __i18nAttrs = new WeakMap();
+const i18nKey = (s) => s.replace(/\s+/g, " ").trim();
+
+function translatePresenter(){
+  document.documentElement.lang = pres.lang;
+  document.querySelectorAll("[data-i18n]").forEach(el => {
+    if(!__i18nHtml.has(el)) __i18nHtml.set(el, el.innerHTML);
+    const en = __i18nHtml.get(el);
+    const html = tx(i18nKey(en));
+    const next = html === i18nKey(en) ? en : html;
+    if(el.innerHTML !== next) el.innerHTML = next;
+  });
+  document.querySelectorAll("[data-i18n-attr]").forEach(el => {
+    if(!__i18nAttrs.has(el)){
+      const orig = {};
+      el.getAttribute("data-i18n-attr").split(/\s+/).filter(Boolean).forEach(a => { orig[a] = el.getAttribute(a) || ""; });
+      __i18nAttrs.set(el, orig);
+    }
+    Object.entries(__i18nAttrs.get(el)).forEach(([a, en]) => el.setAttribute(a, tx(i18nKey(en))));
+  });
+}
+
+function setLang(lang){
+  if((lang !== "en" && lang !== "ja") || lang === pres.lang) return;
+  pres.lang = lang;
+  translatePresenter();
+  renderPresenter();
+  renderTimer();
+  renderAudienceStatus();
+}
+
+/* ---------------------------
+   Pages: current, next, audience
+   --------------------------- */
+function showOnFrame(n){
+  if(pres.shown.current === n) return;
+  pres.shown.current = n;
+  pres.pending.current = n;
+  currentFrame.setAttribute("src", slideUrl(n));
+}
+function showOnAudience(n){
+  if(!pres.audience || pres.shown.audience === n) return;
+  pres.pending.audience = n;
+  send(pres.audience, { type: "goto", slide: n });
+}
+
+function renderPresenter(){
+  const n = pres.slide;
+  const total = pres.total;
+  document.getElementById("presCount").textContent = `${n} / ${total || "—"}`;
+  const page = pres.pages[n];
+  document.getElementById("presTitle").textContent = page ? page.title : "";
+  // notes come from the deck's own files
+  document.getElementById("presNotes").innerHTML = page && page.notes
+    ? page.notes
+    : `<p class="muted">${tx(page ? "No notes for this page." : "Loading…")}</p>`;
+
+  const atEnd = total !== null && n >= total;
+  nextFrame.hidden = atEnd;
+  document.getElementById("presEnd").hidden = !atEnd;
+  if(!atEnd && nextFrame.getAttribute("src") !== slideUrl(n + 1)) nextFrame.setAttribute("src", slideUrl(n + 1));
+  const next = pres.pages[n + 1];
+  document.getElementById("presNextTitle").textContent = atEnd ? "" : (next ? next.title : tx("Page {n}", { n: n + 1 }));
+
+  document.getElementById("presPrev").disabled = (n === 1);
+  document.getElementById("presNextBtn").disabled = atEnd;
+  document.getElementById("presExit").setAttribute("href", slideUrl(n));
+}
+
+// Move the presenter, its frame and the audience to page n
+function goTo(n){
+  pres.slide = clamp(n, 1, pres.total || n);
+  showOnFrame(pres.slide);
+  showOnAudience(pres.slide);
+  renderPresenter();
+}
+
+function openAudience(){
+  const win = window.open(slideUrl(pres.slide), AUDIENCE_WINDOW, "popup,width=1280,height=800");
+  if(!win){
+    setAudienceStatus({ msg: "The browser blocked the window: allow pop-ups for this file and try again." });
+    return;
+  }
+  pres.audience = win;
+  pres.shown.audience = null;
+  pres.pending.audience = pres.slide;
+  setAudienceStatus({ msg: "Audience window opening…" });
+  if(!pres.timer.running && pres.timer.elapsed === 0) toggleTimer();
+}
+// {msg, vars}, kept so a language switch can redraw it
+function setAudienceStatus(status){
+  pres.audienceStatus = status;
+  renderAudienceStatus();
+}
+function renderAudienceStatus(){
+  const { msg, vars } = pres.audienceStatus;
+  document.getElementById("audienceStatus").textContent = tx(msg, vars);
+}
+
+window.addEventListener("message", (e)=>{
+  const msg = e.data;
+  if(!msg || msg.channel !== PRESENTER_CHANNEL) return;
+  const fromCurrent = e.source === currentFrame.contentWindow;
+  const fromNext = e.source === nextFrame.contentWindow;
+  // an audience window left over from before a reload of this view
+  if(!fromCurrent && !fromNext && !pres.audience && msg.type === "ready") pres.audience = e.source;
+  const fromAudience = !!pres.audience && e.source === pres.audience;
+  if(!fromCurrent && !fromNext && !fromAudience) return;
+
+  if(msg.type === "ready"){
+    if(fromCurrent || fromAudience) setLang(msg.lang);
+    if(Number.isInteger(msg.total) && msg.total > 0) pres.total = msg.total;
+    pres.pages[msg.slide] = {
+      title: String(msg.title || ""),
+      notes: typeof msg.notes === "string" ? msg.notes : ""
+    };
+    if(fromAudience) setAudienceStatus({ msg: "Audience window on page {n}", vars: { n: msg.slide } });
+    const key = fromCurrent ? "current" : fromAudience ? "audience" : null;
+    const pending = key && pres.pending[key];
+    if(pending){
+      if(msg.slide === pending){
+        pres.pending[key] = null;
+        pres.shown[key] = msg.slide;
+      }
+      // the goto reached a page that was unloading: ask again
+      else if(fromAudience) send(pres.audience, { type: "goto", slide: pending });
+    }else if(key){
+      pres.shown[key] = msg.slide;
+      // someone navigated inside the frame or on the audience screen
+      if(msg.slide !== pres.slide){
+        pres.slide = msg.slide;
+        if(fromCurrent) showOnAudience(msg.slide);
+        else showOnFrame(msg.slide);
+      }
+    }
+    renderPresenter();
+  }
+
+  // edits: frame <-> audience, and the preview follows
+  if(msg.type === "state" && !fromNext){
+    if(msg.snap) setLang(msg.snap.lang);
+    send(fromCurrent ? pres.audience : currentFrame.contentWindow, { type: "state", snap: msg.snap });
+    send(nextFrame.contentWindow, { type: "state", snap: msg.snap });
+  }
+});
+
+/* ---------------------------
+   Timer
+   --------------------------- */
+function timerElapsed(){
+  const t = pres.timer;
+  return t.elapsed + (t.running ? Date.now() - t.startedAt : 0);
+}
+function toggleTimer(){
+  const t = pres.timer;
+  if(t.running){
+    t.elapsed = timerElapsed();
+    t.running = false;
+  }else{
+    t.startedAt = Date.now();
+    t.running = true;
+  }
+  renderTimer();
+}
+function resetTimer(){
+  pres.timer = { running: false, startedAt: 0, elapsed: 0 };
+  renderTimer();
+}
+function renderTimer(){
+  const el = document.getElementById("presTimer");
+  el.textContent = fmtClock(timerElapsed());
+  el.classList.toggle("paused", !pres.timer.running);
+  document.getElementById("btnTimer").textContent = tx(pres.timer.running ? "Pause" : (pres.timer.elapsed ? "Resume" : "Start"));
+  const d = new Date();
+  document.getElementById("presClock").textContent =
+    `${String(d.getHours()).padStart(2,"0")}:${String(d.getMinutes()).padStart(2,"0")}`;
+}
+function tick(){
+  renderTimer();
+  if(pres.audience && pres.audience.closed){
+    pres.audience = null;
+    setAudienceStatus({ msg: "Audience window closed" });
+  }
+}
+
+/* ---------------------------
+   Controls + boot
+   --------------------------- */
+function fitPreview(){
+  const box = document.getElementById("presPreview");
+  nextFrame.style.transform = `scale(${box.clientWidth / 1280})`;
+}
+
+document.getElementById("presPrev").addEventListener("click", ()=>goTo(pres.slide - 1));
+document.getElementById("presNextBtn").addEventListener("click", ()=>goTo(pres.slide + 1));
+document.getElementById("btnAudience").addEventListener("click", openAudience);
+document.getElementById("btnTimer").addEventListener("click", toggleTimer);
+document.getElementById("btnTimerReset").addEventListener("click", resetTimer);
+window.addEventListener("resize", fitPreview);
+
+// keys pressed inside the live frame are handled by the page itself
+window.addEventListener("keydown", (e)=>{
+  if(/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+  if(e.key === "ArrowLeft" || e.key === "PageUp") goTo(pres.slide - 1);
+  if(e.key === "ArrowRight" || e.key === "PageDown") goTo(pres.slide + 1);
+});
+
+(function bootPresenter(){
+  const n = parseInt(new URLSearchParams(window.location.search).get("slide"), 10);
+  pres.slide = Number.isInteger(n) && n > 0 ? n : 1;
+  showOnFrame(pres.slide);
+  fitPreview();
+  translatePresenter();
+  renderPresenter();
+  renderAudienceStatus();
+  renderTimer();
+  setInterval(tick, 500);
+})();
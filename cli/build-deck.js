@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/* ---------------------------
+   Single-file deck
+   ---------------------------
+   node cli/build-deck.js [out.html]
+
+   Joins pages/page01.html … pageNN.html into one self-contained HTML file
+   (default dist/complaint-deck.html): one header and footer, every slide
+   section, and assets/style.css, model.js, i18n.js and common.js inlined.
+   The file opens from anywhere, including an e-mail attachment, with no
+   assets/ folder next to it.
+
+   In that file the address hash picks the slide (#7), back/forward walk the
+   slides and the settings stay in memory (bootSingleDocument in
+   assets/common.js). The presenter view needs the split pages, so its
+   footer hint is left out.
+*/
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const PAGES = path.join(ROOT, "pages");
+const ASSETS = path.join(ROOT, "assets");
+const USAGE = "usage: node cli/build-deck.js [out.html]";
+
+function fail(msg){
+  process.stderr.write(msg + "\n");
+  process.exit(1);
+}
+
+function read(file){
+  try { return fs.readFileSync(file, "utf8"); }
+  catch(e){ fail(`Cannot read ${file}: ${e.message}`); }
+}
+
+// open…close (inclusive) of the first match, or fail naming the file
+function between(html, open, close, file){
+  const i = html.indexOf(open);
+  const j = i < 0 ? -1 : html.indexOf(close, i);
+  if(j < 0) fail(`${file}: no ${open} … ${close}`);
+  return html.slice(i, j + close.length);
+}
+
+function readPages(){
+  const files = fs.readdirSync(PAGES).filter(f => /^page\d+\.html$/.test(f)).sort();
+  if(!files.length) fail(`No pageNN.html files in ${PAGES}`);
+  return files.map((file, i) => {
+    const html = read(path.join(PAGES, file));
+    const header = between(html, "<header>", "</header>", file);
+    let section = between(html, "<section class=\"slide", "</section>", file);
+    if(!section.includes(`data-slide="${i + 1}"`)) fail(`${file}: expected data-slide="${i + 1}" (pages must be numbered without gaps)`);
+    // the runtime marks the shown slide; the header picker follows the page's own header
+    section = section.replace("class=\"slide active\"", "class=\"slide\"");
+    if(header.includes("id=\"groupSelect\"")) section = section.replace("<section ", "<section data-group-picker ");
+    return { file, html, header, section };
+  });
+}
+
+// Inlined scripts must not end their own <script> element early
+function inlineScript(name){
+  return `<script>\n${read(path.join(ASSETS, name)).replace(/<\/script/gi, "<\\/script")}\n</script>`;
+}
+
+function build(){
+  const pages = readPages();
+  const first = pages[0];
+  const header = (pages.find(p => p.header.includes("id=\"groupSelect\"")) || first).header
+    .replace(/(<div id="ptext">)\d+/, "$11");
+  const footer = between(first.html, "<footer>", "</footer>", first.file)
+    .replace(/\n\s*<span class="presenter-hint">[\s\S]*?<\/span>\n\s*<\/span>/, "");
+
+  const head = first.html.slice(0, first.html.indexOf("<body>"))
+    .replace(/<title>[^<]*<\/title>/, "<title>Complaint Prediction Model</title>")
+    .replace(/<link rel="stylesheet" href="\.\.\/assets\/style\.css" \/>/,
+      () => `<style>\n${read(path.join(ASSETS, "style.css"))}\n</style>`);
+
+  return [
+    head + "<body>",
+    "<div class=\"app\">",
+    "  " + header,
+    "",
+    "  <main>",
+    pages.map(p => "    " + p.section).join("\n\n"),
+    "  </main>",
+    "",
+    "  " + footer,
+    "</div>",
+    "",
+    inlineScript("model.js"),
+    inlineScript("i18n.js"),
+    inlineScript("common.js"),
+    "<script>",
+    "  bootSingleDocument();",
+    "</script>",
+    "</body>",
+    "</html>",
+    ""
+  ].join("\n");
+}
+
+function main(){
+  const args = process.argv.slice(2);
+  if(args.includes("-h") || args.includes("--help")){ process.stdout.write(USAGE + "\n"); return; }
+  if(args.length > 1 || args.some(a => a.startsWith("-"))) fail(USAGE);
+  const out = path.resolve(args[0] || path.join(ROOT, "dist", "complaint-deck.html"));
+  const html = build();
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, html);
+  process.stdout.write(`Wrote ${path.relative(process.cwd(), out) || out} (${Math.round(html.length / 1024)} KB)\n`);
+}
+
+main();
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/* ---------------------------
+   Command-line forecaster
+   ---------------------------
+   node cli/forecast.js <history.csv> <params.json> [--months N] [--format csv|json]
+
+   history.csv  month,production,complaints (same file as the Page 3 import)
+   params.json  { "dist": "weibull", "alpha": 60, "beta": 3.5, "scale": 1,
+                  "cms": [{"type":"cutin","start":-6,"eff":0.7,"phaseIn":0}],
+                  "eolOn": false, "eolRel": 12, "months": 18,
+                  "plan": {"trend": 5, "rampDown": 3, "horizon": 36} }
+                "plan" is the Page 3 production plan (see productionPlan in
+                assets/model.js); without it production stays at the
+                average of the last 6 months.
+                "dist" is weibull, lognormal, gamma, exponential or mixture
+                (mixture also reads "infant": {"weight", "alpha", "beta"}).
+                "attrition" retires machines with age, e.g.
+                {"mode": "life", "life": 96} or
+                {"mode": "survival", "survAlpha": 120, "survBeta": 2}.
+                A state file saved on Page 13 works too; when it has
+                "groups" (failure modes) their forecasts are summed.
+
+   Prints one row per forecast month (0 = last month in the CSV).
+*/
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const model = require(path.join(__dirname, "..", "assets", "model.js"));
+
+const USAGE = "usage: node cli/forecast.js <history.csv> <params.json> [--months N] [--format csv|json]";
+
+function fail(msg){
+  process.stderr.write(msg + "\n");
+  process.exit(1);
+}
+
+function parseArgs(argv){
+  const args = { files: [], months: null, format: "csv" };
+  for(let i=0; i<argv.length; i++){
+    const a = argv[i];
+    if(a === "-h" || a === "--help"){ process.stdout.write(USAGE + "\n"); process.exit(0); }
+    else if(a === "--months") args.months = Number(argv[++i]);
+    else if(a === "--format") args.format = argv[++i];
+    else if(a.startsWith("--")) fail(`Unknown option ${a}\n${USAGE}`);
+    else args.files.push(a);
+  }
+  if(args.files.length !== 2) fail(USAGE);
+  if(args.months !== null && !(Number.isInteger(args.months) && args.months > 0)) fail("--months must be a positive whole number.");
+  if(args.format !== "csv" && args.format !== "json") fail("--format must be csv or json.");
+  return args;
+}
+
+function readFile(file){
+  try { return fs.readFileSync(file, "utf8"); }
+  catch(e){ fail(`Cannot read ${file}: ${e.message}`); }
+}
+
+// Validate the parameter file; returns the model inputs minus cohorts
+function readParams(file){
+  let raw;
+  try { raw = JSON.parse(readFile(file)); }
+  catch(e){ fail(`${file} is not valid JSON: ${e.message}`); }
+  if(!raw || typeof raw !== "object") fail(`${file} must hold a JSON object.`);
+
+  const errors = [];
+  const num = (key, fallback) => {
+    const v = raw[key] ?? fallback;
+    if(typeof v !== "number" || !Number.isFinite(v)) errors.push(`"${key}" must be a number.`);
+    return v;
+  };
+  const p = {
+    alpha: num("alpha"),
+    beta: num("beta"),
+    scale: num("scale", 1),
+    eolOn: !!raw.eolOn,
+    eolRel: num("eolRel", 12),
+    dist: raw.dist ?? "weibull",
+    infant: raw.infant ?? model.DEFAULT_INFANT,
+    months: num("months", 18)
+  };
+  const cms = model.normalizeCms(raw.cms);
+  cms.errors.forEach(msg => errors.push(`${msg}.`));
+  p.cms = cms.cms;
+  const checkCurve = (g, where) => {
+    if(g.dist !== undefined && !model.DISTRIBUTIONS.includes(g.dist)) errors.push(`${where}dist must be one of ${model.DISTRIBUTIONS.join(", ")}.`);
+    if(g.infant !== undefined) model.normalizeInfant(g.infant).errors.forEach(msg => errors.push(`${where}infant: ${msg}.`));
+  };
+  checkCurve(raw, "");
+  if(!(Number.isInteger(p.months) && p.months > 0)) errors.push(`"months" must be a positive whole number.`);
+  const plan = model.normalizePlan(raw.plan);
+  plan.errors.forEach(msg => errors.push(`plan: ${msg}.`));
+  p.plan = plan.plan;
+  if(typeof p.eolRel === "number" && !(Number.isInteger(p.eolRel) && p.eolRel >= model.EOL_REL_MIN && p.eolRel <= p.plan.horizon))
+    errors.push(`"eolRel" must be a whole number of months, ${model.EOL_REL_MIN}–${p.plan.horizon} (plan.horizon).`);
+  const attrition = model.normalizeAttrition(raw.attrition);
+  attrition.errors.forEach(msg => errors.push(`attrition: ${msg}.`));
+  p.attrition = attrition.attrition;
+  const groups = Array.isArray(raw.groups) && raw.groups.length ? raw.groups : null;
+  const isObject = (g) => g !== null && typeof g === "object" && !Array.isArray(g);
+  if(groups){
+    groups.forEach((g, i) => {
+      if(!isObject(g)){ errors.push(`groups[${i}] must be an object.`); return; }
+      ["alpha", "beta", "scale"].forEach(k => {
+        if(typeof g[k] !== "number" || !Number.isFinite(g[k])) errors.push(`groups[${i}].${k} must be a number.`);
+      });
+      checkCurve(g, `groups[${i}].`);
+      model.normalizeCms(g.cms).errors.forEach(msg => errors.push(`groups[${i}].${msg}.`));
+    });
+  }
+  if(errors.length) fail(`${file}:\n  ${errors.join("\n  ")}`);
+  return { p, groups: groups && groups.filter(isObject).map(g => ({
+    dist: g.dist ?? "weibull", alpha: g.alpha, beta: g.beta, infant: g.infant ?? model.DEFAULT_INFANT,
+    scale: g.scale, cms: model.normalizeCms(g.cms).cms
+  })) };
+}
+
+function main(){
+  const args = parseArgs(process.argv.slice(2));
+  const history = model.parseHistoryCsv(readFile(args.files[0]));
+  if(!history.ok) fail(`${args.files[0]}:\n  ${history.errors.join("\n  ")}`);
+  const { p, groups } = readParams(args.files[1]);
+
+  const months = args.months ?? p.months;
+  const inputs = { ...p, cohorts: history.cohorts, includeFutureCohorts: true, nowMonth: history.lastMonth };
+  if(months > p.plan.horizon) process.stderr.write(`note: production after month ${p.plan.horizon} is not planned (plan.horizon).\n`);
+  const lastKey = model.parseMonthKey(history.lastMonth);
+  const rows = model.forecastSeries(inputs, months, groups).map(r => ({
+    month: model.monthKeyToString(lastKey + r.offset),
+    offset: r.offset,
+    expected_complaints: r.expectedComplaints,
+    machines_in_field: r.machinesInField,
+    implied_rate: r.impliedRate
+  }));
+
+  if(args.format === "json"){
+    process.stdout.write(JSON.stringify(rows, null, 2) + "\n");
+    return;
+  }
+  const cols = ["month", "offset", "expected_complaints", "machines_in_field", "implied_rate"];
+  const lines = [cols.join(",")].concat(rows.map(r => [
+    r.month, r.offset, r.expected_complaints.toFixed(2), r.machines_in_field, r.implied_rate.toFixed(5)
+  ].join(",")));
+  process.stdout.write(lines.join("\n") + "\n");
+}
+
+main();
@@ -0,0 +1,256 @@
+/* ---------------------------
+   Model unit tests
+   ---------------------------
+   node --test test/
+
+   Pins the numbers the deck shows with its toy data (Pages 5–11), so a
+   refactor of assets/model.js that changes a forecast fails here first.
+   Future production is the default plan: flat at the 6-month average.
+*/
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const model = require(path.join(__dirname, "..", "assets", "model.js"));
+
+// The deck's toy data (initToyData): monthIndex -17..0
+const TOY = [780, 820, 760, 790, 810, 845, 870, 860, 830, 800, 790, 805, 820, 835, 860, 880, 900, 910];
+const cohorts = TOY.map((m, i) => ({ monthIndex: i - (TOY.length - 1), machines: m }));
+const base = {
+  cohorts, alpha: 60, beta: 3.5, scale: 1,
+  cms: [{ type: "cutin", start: -6, eff: 0.7, phaseIn: 0 }],
+  includeFutureCohorts: true, eolOn: false, eolRel: 12
+};
+
+test("Weibull CDF and monthly failure probability", () => {
+  assert.equal(model.weibullCDF(0, 60, 3.5), 0);
+  assert.equal(model.weibullCDF(-3, 60, 3.5), 0);
+  assert.ok(Math.abs(model.weibullCDF(60, 60, 3.5) - (1 - Math.exp(-1))) < 1e-12);
+  assert.equal(model.pFailInMonth(-1, 60, 3.5), 0);
+  assert.equal(model.pFailInMonth(10, 60, 3.5), model.weibullCDF(11, 60, 3.5) - model.weibullCDF(10, 60, 3.5));
+  assert.equal(model.riskCurvePoints(60, 3.5).length, 61);
+});
+
+test("expected complaints for a forecast month", () => {
+  assert.equal(model.expectedComplaintsForOffset(3, base), 19.951600605148183);
+  assert.equal(model.expectedComplaintsForOffset(20, { ...base, eolOn: true, eolRel: 5 }), 133.03591451362382);
+  assert.equal(model.expectedComplaintsForOffset(-4, { ...base, includeFutureCohorts: false }), 4.908786503651657);
+  const cms = [
+    { type: "retrofit", start: 2, eff: 0.4, phaseIn: 3 },
+    { type: "cutin", start: -3, eff: 0.8, phaseIn: 2 }
+  ];
+  assert.equal(model.expectedComplaintsForOffset(6, { ...base, cms }), 12.854254208857775);
+});
+
+test("lifetime distributions", () => {
+  const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-6, `${a} vs ${b}`);
+  // no family -> Weibull, as before
+  assert.equal(model.lifetimeCDF(30, 60, 3.5), model.weibullCDF(30, 60, 3.5));
+  close(model.lifetimeCDF(60, 60, 0.5, { dist: "lognormal" }), 0.5);
+  close(model.lifetimeCDF(60 * Math.exp(0.5), 60, 0.5, { dist: "lognormal" }), 0.8413447);
+  close(model.lifetimeCDF(30, 60, 1, { dist: "gamma" }), 1 - Math.exp(-0.5));
+  close(model.lifetimeCDF(60, 60, 2, { dist: "gamma" }), 1 - 3 * Math.exp(-2));
+  close(model.lifetimeCDF(30, 60, 9, { dist: "exponential" }), 1 - Math.exp(-0.5));
+  const infant = { weight: 0.2, alpha: 6, beta: 0.7 };
+  close(model.lifetimeCDF(10, 60, 3.5, { dist: "mixture", infant }),
+    0.2 * model.weibullCDF(10, 6, 0.7) + 0.8 * model.weibullCDF(10, 60, 3.5));
+
+  // bathtub: risk falls after month 0, then rises again with wear-out
+  const r = model.riskCurvePoints(60, 3.5, 60, 61, { dist: "mixture", infant }).map(p => p.raw);
+  assert.ok(r[0] > r[6] && r[6] > r[12] && r[40] > r[12]);
+
+  // every family sums to (almost) 1 over a long life
+  model.DISTRIBUTIONS.forEach(dist => {
+    let sum = 0;
+    for(let m = 0; m < 3000; m++) sum += model.pFailInMonth(m, 60, 1, { dist, infant });
+    assert.ok(Math.abs(sum - 1) < 1e-3, `${dist}: ${sum}`);
+  });
+
+  const logn = { ...base, dist: "lognormal", beta: 0.5 };
+  assert.ok(model.expectedComplaintsForOffset(3, logn) > 0);
+  assert.notEqual(model.expectedComplaintsForOffset(3, logn), model.expectedComplaintsForOffset(3, { ...base, beta: 0.5 }));
+});
+
+test("scale multiplies the forecast", () => {
+  const one = model.expectedComplaintsForOffset(5, base);
+  assert.ok(Math.abs(model.expectedComplaintsForOffset(5, { ...base, scale: 2 }) - 2 * one) < 1e-9);
+});
+
+test("machines in field and production stop at EOL", () => {
+  assert.equal(model.machinesInFieldAtOffset(14, base), 27117);
+  assert.equal(model.machinesInFieldAtOffset(20, { ...base, eolOn: true, eolRel: 9 }), 22777);
+  assert.equal(model.buildCohortsForForecast(cohorts, { includeFuture: true, eolOn: true, eolRel: 12 }).length, 30);
+  assert.equal(model.buildCohortsForForecast(cohorts, { includeFuture: false }).length, TOY.length);
+});
+
+test("production plan", () => {
+  const avg = (820 + 835 + 860 + 880 + 900 + 910) / 6;
+  const flat = model.productionPlan(cohorts, null);
+  assert.equal(flat.length, 30);
+  assert.ok(flat.every(c => c.machines === Math.round(avg)));
+
+  const plan = { trend: 10, rampDown: 3, manual: [1000, null, 500], horizon: 24 };
+  const rows = model.productionPlan(cohorts, plan, { eolOn: true, eolRel: 6 });
+  assert.deepEqual(rows.map(c => c.machines), [
+    1000, Math.round(avg + 10), 500,
+    Math.round((avg + 30) * 3/4), Math.round((avg + 40) * 2/4), Math.round((avg + 50) * 1/4)
+  ]);
+  assert.equal(model.productionPlan(cohorts, { horizon: 24 }).length, 24);
+
+  // seasonal is by calendar month: now = 2025-11, so month 1 is December
+  const seasonal = Array(12).fill(0);
+  seasonal[11] = 50;
+  const s = model.productionPlan(cohorts, { level: 100, seasonal }, { nowMonth: "2025-11" });
+  assert.deepEqual(s.slice(0, 3).map(c => c.machines), [150, 100, 100]);
+  assert.equal(s[12].machines, 150);
+});
+
+test("plan validation", () => {
+  assert.deepEqual(model.normalizePlan(undefined), { plan: { ...model.DEFAULT_PLAN, manual: [] }, errors: [] });
+  const bad = model.normalizePlan({ level: -1, seasonal: [1, 2], rampDown: 1.5, horizon: 100, manual: ["x"] });
+  assert.equal(bad.errors.length, 5);
+  assert.deepEqual(bad.plan, { ...model.DEFAULT_PLAN, manual: [] });
+  assert.equal(model.normalizePlan({ level: 900, trend: -5 }).plan.level, 900);
+  const current = { ...model.DEFAULT_PLAN, level: 700, manual: [800] };
+  const kept = model.normalizePlan({ level: -1, trend: 5 }, current);
+  assert.deepEqual(kept.plan, { ...current, trend: 5 });
+  assert.notEqual(kept.plan.manual, current.manual);
+});
+
+test("infant component validation", () => {
+  assert.deepEqual(model.normalizeInfant({ weight: 0.2, alpha: 4, beta: 0.5 }), { infant: { weight: 0.2, alpha: 4, beta: 0.5 }, errors: [] });
+  const bad = model.normalizeInfant({ weight: 1.5, alpha: 0, beta: -1 });
+  assert.equal(bad.errors.length, 3);
+  assert.deepEqual(bad.infant, model.DEFAULT_INFANT);
+});
+
+test("countermeasure validation", () => {
+  assert.deepEqual(model.normalizeCms(undefined), { cms: [], errors: [] });
+  assert.deepEqual(model.normalizeCms([{ start: -6, eff: 0.7 }]).cms, [{ id: "cm1", type: "cutin", start: -6, eff: 0.7, phaseIn: 0 }]);
+  const bad = model.normalizeCms([{ type: "cutin", start: "soon", eff: "x" }, null, { type: "recall", start: 1, eff: 1.5, phaseIn: -1 }]);
+  assert.equal(bad.errors.length, 6);
+  assert.deepEqual(bad.cms, []);
+  assert.deepEqual(model.normalizeCms({}).errors, ["cms must be a list"]);
+});
+
+test("CLI reports malformed groups instead of crashing", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "forecast-cli-"));
+  const history = ["month,production,complaints"].concat(TOY.map((m, i) => `${model.monthKeyToString(model.parseMonthKey("2024-01") + i)},${m},3`));
+  fs.writeFileSync(path.join(dir, "history.csv"), history.join("\n"));
+  fs.writeFileSync(path.join(dir, "params.json"), JSON.stringify({ alpha: 60, beta: 3.5, groups: [null, { alpha: 60, beta: 3.5, scale: 1 }] }));
+  const run = spawnSync(process.execPath, [path.join(__dirname, "..", "cli", "forecast.js"), path.join(dir, "history.csv"), path.join(dir, "params.json")], { encoding: "utf8" });
+  fs.rmSync(dir, { recursive: true, force: true });
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /groups\[0\] must be an object\./);
+  assert.doesNotMatch(run.stderr, /TypeError/);
+});
+
+test("fleet attrition", () => {
+  assert.equal(model.survivalAt(50, undefined), 1);
+  assert.equal(model.survivalAt(95, { mode: "life", life: 96 }), 1);
+  assert.equal(model.survivalAt(96, { mode: "life", life: 96 }), 0);
+  assert.ok(Math.abs(model.survivalAt(120, { mode: "survival", survAlpha: 120, survBeta: 2 }) - Math.exp(-1)) < 1e-12);
+
+  // a 10-month service life leaves only the cohorts aged 0..9 at now
+  const life = { ...base, attrition: { mode: "life", life: 10 } };
+  assert.equal(model.machinesInFieldAtOffset(0, life), TOY.slice(-10).reduce((a, b) => a + b, 0));
+  assert.ok(model.expectedComplaintsForOffset(3, life) < model.expectedComplaintsForOffset(3, base));
+  assert.equal(model.expectedComplaintsForOffset(3, { ...base, attrition: model.DEFAULT_ATTRITION }), model.expectedComplaintsForOffset(3, base));
+
+  assert.equal(model.normalizeAttrition({ mode: "gone", life: 0 }).errors.length, 2);
+  const kept = model.normalizeAttrition({ mode: "survival", life: 0 }, { mode: "life", life: 96, survAlpha: 80, survBeta: 1 });
+  assert.deepEqual(kept.attrition, { mode: "survival", life: 96, survAlpha: 80, survBeta: 1 });
+});
+
+test("forecast series sums groups", () => {
+  const groups = [
+    { alpha: 60, beta: 3.5, scale: 1, cms: base.cms },
+    { alpha: 40, beta: 2, scale: 0.5, cms: [] }
+  ];
+  const rows = model.forecastSeries(base, 3, groups);
+  assert.equal(rows.length, 3);
+  rows.forEach(r => {
+    assert.equal(r.byGroup.length, 2);
+    assert.ok(Math.abs(r.expectedComplaints - (r.byGroup[0] + r.byGroup[1])) < 1e-9);
+    assert.equal(r.impliedRate, r.expectedComplaints / r.machinesInField);
+  });
+  assert.equal(model.forecastSeries(base, 4)[3].expectedComplaints, 19.951600605148183);
+});
+
+test("backtest from a cut-off", () => {
+  const complaints = [8, 10, 9, 12, 11, 10, 9, 13, 12, 11, 10, 9].map((count, i) => ({ monthIndex: i - 11, count }));
+  const p = { ...base, alpha: 12, beta: 1.3 };
+
+  // a cut-off after the last month holds nothing out: the live model, recalibrated
+  const all = model.backtest(p, 1, complaints, { calibWindow: 12 });
+  assert.ok(all.rows.every(r => !r.heldOut));
+  assert.equal(all.rows[11].predicted, model.expectedComplaintsForOffset(0, { ...p, scale: all.scale }));
+
+  // data from the cut-off on does not change the forecast
+  const bt = model.backtest(p, -5, complaints, { calibWindow: 12 });
+  const altered = complaints.map(c => c.monthIndex >= -5 ? { ...c, count: 100 } : c);
+  const altCohorts = cohorts.map(c => c.monthIndex >= -5 ? { ...c, machines: 5000 } : c);
+  const bt2 = model.backtest({ ...p, cohorts: altCohorts }, -5, altered, { calibWindow: 12 });
+  assert.equal(bt.calibMonths, 6);
+  assert.equal(bt2.scale, bt.scale);
+  assert.deepEqual(bt2.rows.map(r => r.predicted), bt.rows.map(r => r.predicted));
+  assert.equal(bt.rows.filter(r => r.heldOut).length, 6);
+});
+
+test("sensitivity moves one input at a time", () => {
+  const p = { ...base, eolOn: true, eolRel: 18 };
+  const res = model.sensitivity(p, { pct: 0.2, shift: 3, months: 24 });
+  assert.equal(res.base, model.forecastTotal(p, 24));
+  assert.deepEqual(res.rows.map(r => r.param).sort(), ["alpha", "beta", "cmEff", "cmStart", "eolRel", "scale"]);
+  res.rows.slice(1).forEach((r, i) => assert.ok(r.swing <= res.rows[i].swing));
+
+  // scale is linear: ±20% moves the total by exactly ±20%
+  const scale = res.rows.find(r => r.param === "scale");
+  assert.ok(Math.abs(scale.high.total - 1.2 * res.base) < 1e-9);
+  assert.ok(Math.abs(scale.low.total - 0.8 * res.base) < 1e-9);
+  const cmStart = res.rows.find(r => r.param === "cmStart");
+  assert.deepEqual([cmStart.low.value, cmStart.high.value], [-9, -3]);
+
+  // no countermeasure, no CM rows
+  assert.equal(model.sensitivity({ ...p, cms: [] }).rows.some(r => r.param.startsWith("cm")), false);
+});
+
+test("forecast error metrics", () => {
+  const rows = [
+    { actual: 10, predicted: 12, heldOut: true },
+    { actual: 0, predicted: 1, heldOut: true },
+    { actual: 20, predicted: 15, heldOut: true }
+  ];
+  const [h3, h6] = model.forecastErrors([{ actual: 5, predicted: 5, heldOut: false }, ...rows], [3, 6]);
+  assert.equal(h3.mae, (2 + 1 + 5) / 3);
+  assert.equal(h3.mape, (20 + 25) / 2);
+  assert.equal(h3.bias, (2 + 1 - 5) / 3);
+  assert.deepEqual(h6, { horizon: 6, n: 3, complete: false, mae: null, mape: null, bias: null });
+});
+
+test("history CSV parsing", () => {
+  const lines = ["month,production,complaints"];
+  for(let m = 1; m <= 12; m++) lines.push(`2025-${String(m).padStart(2, "0")},${800 + m},${m}`);
+  const ok = model.parseHistoryCsv(lines.join("\n"));
+  assert.equal(ok.ok, true);
+  assert.equal(ok.lastMonth, "2025-12");
+  assert.deepEqual(ok.cohorts[11], { monthIndex: 0, machines: 812 });
+  assert.deepEqual(ok.complaints[0], { monthIndex: -11, count: 1 });
+
+  assert.equal(model.parseHistoryCsv("").ok, false);
+  const wrong = model.parseHistoryCsv("month,units\n2025-01,3");
+  assert.equal(wrong.ok, false);
+  assert.match(wrong.errors[0], /Wrong column names/);
+  assert.equal(model.parseHistoryCsv(lines.slice(0, 6).join("\n")).ok, false);
+});
+
+test("spike detection flags the toy spike only", () => {
+  const spikes = model.detectSpikes([8, 10, 9, 12, 11, 10, 9, 45, 12, 11, 10, 9], 3.5);
+  assert.deepEqual([...spikes.keys()], [7]);
+  assert.equal(model.detectSpikes([5, 5, 5, 5], 3.5).size, 0);
+  assert.equal(model.median([3, 1, 2, 10]), 2.5);
+});